@@ -1,29 +1,80 @@
 /**
  * Worker thread for processing conversations in parallel
  * This allows CPU-intensive token counting to happen concurrently
+ * Runs inside a WorkerPool: each message is a task ({id, filePath}) answered with {id, success, result, stats}
  */
 
+const path = require('path');
 const { parentPort, workerData } = require('worker_threads');
+const { getByteSize, estimateTokens, setTokenEstimator } = require('./lib/token-estimator');
+const { readJSONL } = require('./lib/jsonl-reader');
+const { createRedactor, redactSequence } = require('./lib/redact');
+const { DEFAULT_CONFIG, isToolHidden, matchesTool, loadFormatters } = require('./lib/config');
+const { isReadOnlyCommand } = require('./lib/redundant-reads');
+const {
+  FileContents,
+  parseNumberedLines,
+  getResultText,
+  getPatchRanges,
+  resolveEditRanges
+} = require('./lib/edit-ranges');
+
+const EDIT_TOOLS = ['Edit', 'MultiEdit'];
 
 /**
- * Get byte size of text
+ * Format size as bytes and estimated tokens (e.g. 3106b/~812t)
  */
-function getByteSize(text) {
-  if (!text) return 0;
-  const str = typeof text === 'string' ? text : JSON.stringify(text);
-  return str.length;
+function formatSize(bytes, tokens) {
+  return `${bytes}b/~${tokens}t`;
+}
+
+/**
+ * Format size of text as bytes and estimated tokens
+ */
+function formatTextSize(text) {
+  return formatSize(getByteSize(text), estimateTokens(text));
 }
 
 /**
- * Format duration between timestamps
+ * Summarize a tool result block: sizes and status only, so results held
+ * between streaming passes stay small for multi-hundred-MB transcripts
+ * (edit results also keep their changed ranges and short numbered snippet)
  */
-function formatDuration(start, end) {
+function summarizeToolResult(block, entry, isEdit = false) {
+  const content = block.content || '';
+  const contentStr = typeof content === 'string' ? content : JSON.stringify(content);
+
+  // Failed Bash results are flagged is_error with an "Exit code N" first line
+  let exitCode = block.exit_code !== undefined ? block.exit_code : 0;
+  if (block.exit_code === undefined && block.is_error === true) {
+    const match = getResultText(block).match(/^Exit code (\d+)/);
+    exitCode = match ? parseInt(match[1], 10) : 1;
+  }
+
+  return {
+    timestamp: entry.timestamp || null,
+    bytes: getByteSize(contentStr),
+    tokens: estimateTokens(contentStr),
+    lines: typeof content === 'string' ? content.split('\n').length : 1,
+    exitCode,
+    isError: block.is_error === true,
+    // Task results name the subagent transcript (agent-<agentId>.jsonl)
+    agentId: entry.toolUseResult?.agentId || null,
+    patchRanges: isEdit ? getPatchRanges(entry.toolUseResult?.structuredPatch) : null,
+    snippet: isEdit && !block.is_error ? parseNumberedLines(getResultText(block)) : null
+  };
+}
+
+/**
+ * Format duration between timestamps (null for gaps over maxGapMs)
+ */
+function formatDuration(start, end, maxGapMs = DEFAULT_CONFIG.maxGapMs) {
   try {
     const startMs = new Date(start).getTime();
     const endMs = new Date(end).getTime();
     const diffMs = endMs - startMs;
 
-    if (diffMs < 0 || diffMs > 3600000) return null;
+    if (diffMs < 0 || diffMs > maxGapMs) return null;
     if (diffMs < 1000) return null;
     if (diffMs < 60000) return `${Math.round(diffMs / 1000)}s`;
 
@@ -35,8 +86,6 @@ function formatDuration(start, end) {
   }
 }
 
-
-
 /**
  * Truncate user message to max length
  */
@@ -65,17 +114,26 @@ function extractUserMessage(entry) {
   return null;
 }
 
+/**
+ * Display path for a file: relative to the session's cwd, full path when outside it
+ */
+function formatFilePath(filePath, cwd) {
+  if (!filePath) return 'unknown';
+  if (!cwd || !path.isAbsolute(filePath)) return filePath;
+  const relative = path.relative(cwd, filePath);
+  if (!relative) return path.basename(filePath);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+}
+
 /**
  * Format tool calls
  */
-function formatReadTool(tool, result) {
-  const filepath = tool.input?.file_path || 'unknown';
-  const filename = filepath.includes('/') ? filepath.split('/').pop() : filepath;
+function formatReadTool(tool, result, cwd) {
+  const filename = formatFilePath(tool.input?.file_path, cwd);
 
-  const content = result?.content || '';
-  const contentStr = typeof content === 'string' ? content : JSON.stringify(content);
-  const bytes = getByteSize(contentStr);
-  const lines = typeof content === 'string' ? content.split('\n').length : 1;
+  const bytes = result?.bytes || 0;
+  const tokens = result?.tokens || 0;
+  const lines = result?.lines || 1;
 
   const offset = tool.input?.offset || 0;
   const limit = tool.input?.limit;
@@ -83,41 +141,47 @@ function formatReadTool(tool, result) {
   const endLine = limit ? offset + limit : offset + lines;
   const lineRange = `L${startLine}-L${endLine}`;
 
-  return { filename, bytes, lineRange };
+  return { filename, bytes, tokens, lineRange };
 }
 
-function formatWriteTool(tool) {
-  const filepath = tool.input?.file_path || 'unknown';
-  const filename = filepath.includes('/') ? filepath.split('/').pop() : filepath;
+function formatWriteTool(tool, cwd) {
+  const filename = formatFilePath(tool.input?.file_path, cwd);
   const content = tool.input?.content || '';
   const bytes = getByteSize(content);
+  const tokens = estimateTokens(content);
   const lines = content.split('\n').length;
   const lineRange = `L1-L${lines}`;
-  return { filename, bytes, lineRange };
+  return { filename, bytes, tokens, lineRange };
 }
 
-function formatEditTool(tool) {
-  const filepath = tool.input?.file_path || 'unknown';
-  const filename = filepath.includes('/') ? filepath.split('/').pop() : filepath;
+function formatEditTool(tool, result, cwd, contents) {
+  const filename = formatFilePath(tool.input?.file_path, cwd);
   const content = tool.input?.new_string || '';
   const bytes = getByteSize(content);
-  const lines = content.split('\n').length;
-  const lineRange = `L1-L${lines}`;
-  return { filename, bytes, lineRange };
+  const tokens = estimateTokens(content);
+  const lineRange = resolveEditRanges(contents, tool.input?.file_path, [tool.input || {}], result);
+  return { filename, bytes, tokens, lineRange };
+}
+
+function formatMultiEditTool(tool, result, cwd, contents) {
+  const filename = formatFilePath(tool.input?.file_path, cwd);
+  const edits = Array.isArray(tool.input?.edits) ? tool.input.edits : [];
+  const content = edits.map(edit => edit.new_string || '').join('\n');
+  const bytes = getByteSize(content);
+  const tokens = estimateTokens(content);
+  const lineRange = resolveEditRanges(contents, tool.input?.file_path, edits, result);
+  return { filename, bytes, tokens, lineRange };
 }
 
 function formatBashTool(tool, result, timeMetadata) {
   const cmd = tool.input?.command || '';
-  const exitCode = result?.exit_code !== undefined ? result.exit_code : 0;
+  const exitCode = result?.exitCode || 0;
 
   const parts = [];
   // Add exit code if non-zero (indicates failure)
   if (exitCode !== 0) parts.push(`exit=${exitCode}`);
-  if (cmd) parts.push(`cmd=${getByteSize(cmd)}b`);
-  if (result?.content) {
-    const content = typeof result.content === 'string' ? result.content : JSON.stringify(result.content);
-    if (content.length > 0) parts.push(`out=${getByteSize(content)}b`);
-  }
+  if (cmd) parts.push(`cmd=${formatTextSize(cmd)}`);
+  if (result?.bytes > 0) parts.push(`out=${formatSize(result.bytes, result.tokens)}`);
 
   const resultMeta = parts.length > 0 ? parts.join(' ') : '';
   const fullMeta = timeMetadata + resultMeta;
@@ -147,16 +211,11 @@ function formatTaskTool(tool, timeMetadata) {
 function formatMcpTool(tool, result, timeMetadata) {
   const mcpName = tool.name.replace(/^mcp__/, '').replace(/__/g, '.');
 
-  const inputBytes = getByteSize(JSON.stringify(tool.input || {}));
-  let outputBytes = 0;
-  if (result?.content) {
-    const content = typeof result.content === 'string' ? result.content : JSON.stringify(result.content);
-    outputBytes = getByteSize(content);
-  }
+  const input = JSON.stringify(tool.input || {});
 
   const parts = [];
-  if (inputBytes > 0) parts.push(`in=${inputBytes}b`);
-  if (outputBytes > 0) parts.push(`out=${outputBytes}b`);
+  if (getByteSize(input) > 0) parts.push(`in=${formatTextSize(input)}`);
+  if (result?.bytes > 0) parts.push(`out=${formatSize(result.bytes, result.tokens)}`);
 
   const resultMeta = parts.length > 0 ? parts.join(' ') : '';
   const fullMeta = timeMetadata + resultMeta;
@@ -196,13 +255,12 @@ function formatWebFetch(tool, result, timeMetadata) {
   const url = tool.input?.url || 'unknown';
   const shortUrl = url.length > 50 ? url.substring(0, 47) + '...' : url;
 
-  const inputBytes = getByteSize(tool.input?.prompt || '');
-  const outputBytes = getByteSize(result?.content || '');
+  const input = tool.input?.prompt || '';
 
   const parts = [];
   if (timeMetadata) parts.push(timeMetadata.trim());
-  if (inputBytes > 0) parts.push(`in=${inputBytes}b`);
-  if (outputBytes > 0) parts.push(`out=${outputBytes}b`);
+  if (getByteSize(input) > 0) parts.push(`in=${formatTextSize(input)}`);
+  if (result?.bytes > 0) parts.push(`out=${formatSize(result.bytes, result.tokens)}`);
 
   const metaStr = parts.length > 0 ? `[${parts.join(' ')}] ` : '';
   return `${metaStr}WebFetch: ${shortUrl}`;
@@ -215,16 +273,91 @@ function formatWebSearch(tool, result, timeMetadata) {
   const query = tool.input?.query || 'unknown';
   const shortQuery = query.length > 50 ? query.substring(0, 47) + '...' : query;
 
-  const outputBytes = getByteSize(result?.content || '');
-
   const parts = [];
   if (timeMetadata) parts.push(timeMetadata.trim());
-  if (outputBytes > 0) parts.push(`out=${outputBytes}b`);
+  if (result?.bytes > 0) parts.push(`out=${formatSize(result.bytes, result.tokens)}`);
 
   const metaStr = parts.length > 0 ? `[${parts.join(' ')}] ` : '';
   return `${metaStr}WebSearch: "${shortQuery}"`;
 }
 
+/**
+ * Build the normalized key used to compare tool calls across sessions
+ */
+function getActionKey(tool) {
+  const input = tool.input || {};
+  if (tool.name === 'Bash') {
+    return `Bash: ${(input.command || '').trim().replace(/[ \t]+/g, ' ')}`;
+  }
+  if (input.file_path) return `${tool.name}: ${input.file_path}`;
+  if (tool.name === 'Task') return `Task: ${input.subagent_type || 'unknown'}`;
+  if (tool.name === 'Grep' || tool.name === 'Glob') return `${tool.name}: ${input.pattern || ''}`;
+  if (tool.name.startsWith('mcp__')) {
+    return `MCP: ${tool.name.replace(/^mcp__/, '').replace(/__/g, '.')}`;
+  }
+  return tool.name;
+}
+
+/**
+ * Build a structured step record for a tool call
+ */
+function buildToolStep(tool, entry, result, details = {}) {
+  return {
+    type: 'tool',
+    tool: tool.name,
+    toolUseId: tool.id,
+    key: getActionKey(tool),
+    messageId: entry.message?.id || entry.uuid || null,
+    timestamp: entry.timestamp || null,
+    resultTimestamp: result?.timestamp || null,
+    inputBytes: getByteSize(JSON.stringify(tool.input || {})),
+    inputTokens: estimateTokens(JSON.stringify(tool.input || {})),
+    outputBytes: result?.bytes || 0,
+    outputTokens: result?.tokens || 0,
+    hidden: false,
+    ...details
+  };
+}
+
+/**
+ * Format Grep/Glob calls (hidden unless listed in tools.include)
+ */
+function formatSearchTool(tool, result, timeMetadata) {
+  const input = tool.input || {};
+  const where = input.path ? ` in ${input.path}` : '';
+  const filter = input.glob ? ` (${input.glob})` : '';
+
+  const parts = [];
+  if (timeMetadata) parts.push(timeMetadata.trim());
+  if (result?.bytes > 0) parts.push(`out=${formatSize(result.bytes, result.tokens)}`);
+
+  const metaStr = parts.length > 0 ? `[${parts.join(' ')}] ` : '';
+  return `${tool.name}: ${metaStr}"${input.pattern || ''}"${where}${filter}`;
+}
+
+/**
+ * Format a call with a formatter module from the config (null falls back to the built-in formatter)
+ */
+function formatCustomTool(tool, result, timeMetadata, format) {
+  let text;
+  try {
+    text = format({ name: tool.name, input: tool.input || {} }, result ? { bytes: result.bytes, tokens: result.tokens, exitCode: result.exitCode, isError: result.isError } : null);
+  } catch {
+    return null;
+  }
+  if (!text) return null;
+
+  const input = JSON.stringify(tool.input || {});
+  const parts = [];
+  if (timeMetadata) parts.push(timeMetadata.trim());
+  if (getByteSize(input) > 0) parts.push(`in=${formatTextSize(input)}`);
+  if (result?.bytes > 0) parts.push(`out=${formatSize(result.bytes, result.tokens)}`);
+
+  const label = tool.name.startsWith('mcp__') ? 'MCP' : tool.name;
+  const metaStr = parts.length > 0 ? `[${parts.join(' ')}] ` : '';
+  return `${label}: ${metaStr}${text}`;
+}
+
 /**
  * Default formatter for unknown tools
  */
@@ -233,51 +366,109 @@ function formatUnknownTool(tool, result, timeMetadata) {
     ? tool.name.substring(5)
     : tool.name;
 
-  const inputBytes = getByteSize(JSON.stringify(tool.input || {}));
-  const outputBytes = getByteSize(result?.content || '');
+  const input = JSON.stringify(tool.input || {});
 
   const parts = [];
   if (timeMetadata) parts.push(timeMetadata.trim());
-  if (inputBytes > 0) parts.push(`in=${inputBytes}b`);
-  if (outputBytes > 0) parts.push(`out=${outputBytes}b`);
+  if (getByteSize(input) > 0) parts.push(`in=${formatTextSize(input)}`);
+  if (result?.bytes > 0) parts.push(`out=${formatSize(result.bytes, result.tokens)}`);
 
   const metaStr = parts.length > 0 ? `[${parts.join(' ')}] ` : '';
   return `${metaStr}${toolName}: (new tool - needs formatter)`;
 }
 
+// Tools whose consecutive calls can share a timeline line (config.rleTools picks among them)
+const FILE_RLE_TOOLS = ['Read', 'Write', 'Edit', 'MultiEdit'];
 
 /**
- * Process a single conversation
+ * Fresh per-conversation state filled by collectEntryInfo
  */
-function processConversation(conv) {
-  const RLE_TOOLS = ['Read', 'Write', 'Edit', 'Think'];
-
-  // Blocklist approach: hide only known low-value tools
-  const BLOCKLIST_TOOLS = [
-    'Glob', 'Grep',                          // Search operations (internal navigation)
-    'TodoWrite',                              // Task management (internal scaffolding)
-    'ExitPlanMode', 'Skill', 'SlashCommand', // Meta-tools (mode switching)
-    'BashOutput', 'KillShell',               // Internal monitoring/cleanup
-    'NotebookEdit'                            // Handled by other formatters
-  ];
+function createConversationState() {
+  return {
+    // Tool result summaries by tool_use_id
+    toolResults: new Map(),
+    session: {
+      sessionId: null,
+      cwd: null,
+      gitBranch: null,
+      gitBranches: [],
+      startTime: null,
+      endTime: null,
+      isSidechain: false, // Subagent transcript
+      agentId: null
+    },
+    // Per-message usage (content blocks of one message share its usage)
+    messages: new Map(),
+    // Edit/MultiEdit calls, whose results keep what is needed to place the edit
+    editToolIds: new Set()
+  };
+}
 
-  const READ_SIZE_THRESHOLD = 3000; // Only show reads >3000 bytes (~1000 tokens)
+/**
+ * First pass: record tool results, session metadata and message usage from one entry
+ */
+function collectEntryInfo(entry, state) {
+  const { toolResults, session, messages } = state;
 
-  if (!conv.entries || conv.entries.length === 0) return null;
+  if (entry.type === 'assistant' && Array.isArray(entry.message?.content)) {
+    for (const block of entry.message.content) {
+      if (block.type === 'tool_use' && EDIT_TOOLS.includes(block.name)) state.editToolIds.add(block.id);
+    }
+  }
 
-  // Build map of tool results
-  const toolResults = new Map();
-  for (const entry of conv.entries) {
-    if (entry.type === 'user' && entry.message?.content) {
-      for (const block of entry.message.content) {
-        if (block.type === 'tool_result') {
-          toolResults.set(block.tool_use_id, block);
-        }
+  if (entry.type === 'user' && Array.isArray(entry.message?.content)) {
+    for (const block of entry.message.content) {
+      if (block.type === 'tool_result') {
+        toolResults.set(block.tool_use_id, summarizeToolResult(block, entry, state.editToolIds.has(block.tool_use_id)));
       }
     }
   }
 
+  if (!session.sessionId && entry.sessionId) session.sessionId = entry.sessionId;
+  if (!session.cwd && entry.cwd) session.cwd = entry.cwd;
+  if (!session.gitBranch && entry.gitBranch) session.gitBranch = entry.gitBranch;
+  if (entry.gitBranch && !session.gitBranches.includes(entry.gitBranch)) session.gitBranches.push(entry.gitBranch);
+  if (entry.isSidechain) session.isSidechain = true;
+  if (!session.agentId && entry.agentId) session.agentId = entry.agentId;
+
+  if (entry.timestamp) {
+    if (!session.startTime || entry.timestamp < session.startTime) session.startTime = entry.timestamp;
+    if (!session.endTime || entry.timestamp > session.endTime) session.endTime = entry.timestamp;
+  }
+
+  const messageId = entry.message?.id || entry.uuid;
+  if (entry.type === 'assistant' && entry.message?.usage && messageId) {
+    const message = messages.get(messageId) || {
+      id: messageId,
+      model: entry.message.model || null,
+      timestamp: entry.timestamp || null,
+      usage: null,
+      tools: [],
+      hasThinking: false
+    };
+    // Later entries of the same message carry the final usage
+    message.usage = entry.message.usage;
+    for (const block of entry.message.content || []) {
+      if (block.type === 'tool_use') message.tools.push(block.name);
+      if (block.type === 'thinking') message.hasThinking = true;
+    }
+    messages.set(messageId, message);
+  }
+}
+
+/**
+ * Second pass: build the timeline and step stream one entry at a time
+ * (needs the tool results collected by the first pass)
+ *
+ * @param {Object} [config] - Timeline settings (lib/config.js)
+ * @param {Array} [formatters] - Formatter modules loaded with loadFormatters(config)
+ */
+function createTimelineBuilder(state, filePath, config = DEFAULT_CONFIG, formatters = []) {
+  const { toolResults, session, messages } = state;
+
   const actions = [];
+  // Normalized action stream (one step per tool call) used for pattern mining
+  const steps = [];
   let prevTimestamp;
   let lineNum = 1;
   let messageNum = 0;
@@ -289,7 +480,7 @@ function processConversation(conv) {
 
     let timeMeta = '';
     if (pendingAction.startTime && prevTimestamp) {
-      const duration = formatDuration(prevTimestamp, pendingAction.startTime);
+      const duration = formatDuration(prevTimestamp, pendingAction.startTime, config.maxGapMs);
       if (duration) timeMeta = `+${duration} `;
     }
 
@@ -302,13 +493,13 @@ function processConversation(conv) {
     } else {
       // Format file operations
       const fileEntries = [];
-      for (const [file, stats] of pendingAction.files.entries()) {
+      for (const stats of pendingAction.files.values()) {
         for (const range of stats.ranges) {
-          fileEntries.push(`${file}[${range}]`);
+          fileEntries.push(`${stats.label}[${range}]`);
         }
       }
       const fileList = fileEntries.join(', ');
-      const meta = `${timeMeta}${pendingAction.totalBytes}b`.trim();
+      const meta = `${timeMeta}${formatSize(pendingAction.totalBytes, pendingAction.totalTokens)}`.trim();
       const action = `${pendingAction.type}: [${meta}] ${fileList}`;
       actions.push(`${lineNum}. ${action}`);
       lineNum++;
@@ -318,14 +509,25 @@ function processConversation(conv) {
     pendingAction = null;
   };
 
-  for (const entry of conv.entries || []) {
+  // File content seen in Read results and Writes, used to place later edits
+  const contents = new FileContents();
+  const readToolIds = new Map(); // Read tool_use id -> file path
+
+  const add = entry => {
     // Track user messages
     if (entry.type === 'user') {
+      for (const block of Array.isArray(entry.message?.content) ? entry.message.content : []) {
+        if (block.type === 'tool_result' && !block.is_error && readToolIds.has(block.tool_use_id)) {
+          contents.addSegments(readToolIds.get(block.tool_use_id), parseNumberedLines(getResultText(block)));
+        }
+      }
+
       const userMsg = extractUserMessage(entry);
       if (userMsg) {
         lastUserMessage = userMsg;
+        steps.push({ type: 'user', timestamp: entry.timestamp, text: userMsg });
       }
-      continue;
+      return;
     }
 
     // Track thinking blocks using RLE accumulation
@@ -333,18 +535,21 @@ function processConversation(conv) {
       const usage = entry.message.usage;
       const model = entry.message.model;
 
+      // Thinking always breaks a mechanical sequence, even when hidden from the timeline
+      steps.push({ type: 'think', timestamp: entry.timestamp, messageId: entry.message.id || entry.uuid || null });
+
       if (usage && usage.input_tokens && usage.output_tokens) {
-        // Filter out unrealistic thinking durations (>60s = idle time)
+        // Filter out unrealistic thinking durations (longer gaps are idle time)
         const duration = prevTimestamp && entry.timestamp
           ? new Date(entry.timestamp).getTime() - new Date(prevTimestamp).getTime()
           : 0;
 
-        if (duration > 60000) {
-          // Skip thinking blocks with >60s gap (user went idle)
-          continue;
+        if (duration > config.idleCutoffMs) {
+          // Skip thinking blocks after the user went idle
+          return;
         }
 
-        if (pendingAction?.type === 'Think') {
+        if (pendingAction?.type === 'Think' && config.rleTools.includes('Think')) {
           // Accumulate consecutive thinking blocks
           pendingAction.count += 1;
           pendingAction.totalIn += usage.input_tokens;
@@ -363,7 +568,7 @@ function processConversation(conv) {
           };
         }
       }
-      continue;
+      return;
     }
 
     if (entry.type === 'assistant' && entry.message?.content) {
@@ -387,15 +592,19 @@ function processConversation(conv) {
         const tool = block;
         const result = toolResults.get(tool.id);
 
+        // Commands that may change files (`sed -i`, `git checkout`, redirects) and subagents make known content stale
+        if ((tool.name === 'Bash' && !isReadOnlyCommand(tool.input?.command)) || tool.name === 'Task') {
+          contents.clear();
+        }
+
         const isMcpTool = tool.name.startsWith('mcp__');
-        const isBlocklisted = BLOCKLIST_TOOLS.includes(tool.name);
 
-        // Skip only if blocklisted (MCP tools never blocked)
-        if (isBlocklisted && !isMcpTool) continue;
+        // Skip blocklisted and excluded tools (MCP tools only when excluded)
+        if (isToolHidden(config, tool.name)) continue;
 
         let metadata = '';
         if (prevTimestamp && entry.timestamp) {
-          const duration = formatDuration(prevTimestamp, entry.timestamp);
+          const duration = formatDuration(prevTimestamp, entry.timestamp, config.maxGapMs);
           if (duration) metadata += `+${duration} `;
         }
 
@@ -404,34 +613,56 @@ function processConversation(conv) {
           metadata += `in=${usage.input_tokens}t out=${usage.output_tokens}t `;
         }
 
-        if (RLE_TOOLS.includes(tool.name)) {
+        if (FILE_RLE_TOOLS.includes(tool.name)) {
+          // Paths relative to the cwd the call ran in (sessions can change directory)
+          const cwd = entry.cwd || session.cwd;
           let formatted;
-          if (tool.name === 'Read') formatted = formatReadTool(tool, result);
-          else if (tool.name === 'Write') formatted = formatWriteTool(tool);
-          else if (tool.name === 'Edit') formatted = formatEditTool(tool);
+          if (tool.name === 'Read') {
+            formatted = formatReadTool(tool, result, cwd);
+            readToolIds.set(tool.id, tool.input?.file_path);
+          } else if (tool.name === 'Write') {
+            formatted = formatWriteTool(tool, cwd);
+            if (tool.input?.file_path && !result?.isError) contents.setContent(tool.input.file_path, tool.input.content || '');
+          } else if (tool.name === 'Edit') {
+            formatted = formatEditTool(tool, result, cwd, contents);
+          } else if (tool.name === 'MultiEdit') {
+            formatted = formatMultiEditTool(tool, result, cwd, contents);
+          }
 
-          const { filename, bytes, lineRange } = formatted;
+          const { filename, bytes, tokens, lineRange } = formatted;
 
           // Size-based filtering for Read operations
-          if (tool.name === 'Read' && bytes < READ_SIZE_THRESHOLD) {
+          const isSmallRead = tool.name === 'Read' && bytes < config.readSizeThreshold;
+          steps.push(buildToolStep(tool, entry, result, {
+            file: tool.input?.file_path || null,
+            range: lineRange,
+            bytes,
+            tokens,
+            hidden: isSmallRead
+          }));
+          if (isSmallRead) {
             continue; // Skip small reads
           }
 
-          if (pendingAction?.type === tool.name) {
-            const existing = pendingAction.files.get(filename);
+          // Keyed by full path: same-named files in different directories stay separate
+          const fileKey = tool.input?.file_path || filename;
+          if (pendingAction?.type === tool.name && config.rleTools.includes(tool.name)) {
+            const existing = pendingAction.files.get(fileKey);
             if (existing) {
               existing.ranges.push(lineRange);
             } else {
-              pendingAction.files.set(filename, { ranges: [lineRange] });
+              pendingAction.files.set(fileKey, { label: filename, ranges: [lineRange] });
             }
             pendingAction.totalBytes += bytes;
+            pendingAction.totalTokens += tokens;
             pendingAction.endTime = entry.timestamp;
           } else {
             flushPending();
             pendingAction = {
               type: tool.name,
-              files: new Map([[filename, { ranges: [lineRange] }]]),
+              files: new Map([[fileKey, { label: filename, ranges: [lineRange] }]]),
               totalBytes: bytes,
+              totalTokens: tokens,
               startTime: entry.timestamp,
               endTime: entry.timestamp
             };
@@ -442,8 +673,12 @@ function processConversation(conv) {
         // Flush pending RLE actions before non-RLE tool
         flushPending();
 
-        let action = '';
-        if (tool.name === 'Bash') {
+        // Formatter modules from the config come first (null falls back to the built-in ones)
+        const custom = formatters.find(formatter => matchesTool([formatter.pattern], tool.name));
+        let action = custom ? formatCustomTool(tool, result, metadata, custom.format) : '';
+        if (action) {
+          // Formatted by the module
+        } else if (tool.name === 'Bash') {
           action = formatBashTool(tool, result, metadata);
         } else if (tool.name === 'Task') {
           action = formatTaskTool(tool, metadata);
@@ -453,6 +688,8 @@ function processConversation(conv) {
           action = formatWebFetch(tool, result, metadata);
         } else if (tool.name === 'WebSearch') {
           action = formatWebSearch(tool, result, metadata);
+        } else if (tool.name === 'Grep' || tool.name === 'Glob') {
+          action = formatSearchTool(tool, result, metadata);
         } else if (isMcpTool) {
           action = formatMcpTool(tool, result, metadata);
         } else {
@@ -461,6 +698,17 @@ function processConversation(conv) {
         }
 
         if (action) {
+          // Timeline line number, so nested output (e.g. subagent timelines) can be placed after it
+          const details = { actionNumber: lineNum };
+          if (tool.name === 'Bash') {
+            details.command = tool.input?.command || '';
+            details.exitCode = result?.exitCode || 0;
+          } else if (tool.name === 'Task') {
+            details.agentId = result?.agentId || null;
+          } else if (tool.input?.file_path) {
+            details.file = tool.input.file_path;
+          }
+          steps.push(buildToolStep(tool, entry, result, details));
           actions.push(`${lineNum}. ${action}`);
           lineNum++;
           prevTimestamp = entry.timestamp;
@@ -473,7 +721,7 @@ function processConversation(conv) {
 
         let timeMeta = '';
         if (prevTimestamp && entry.timestamp) {
-          const duration = formatDuration(prevTimestamp, entry.timestamp);
+          const duration = formatDuration(prevTimestamp, entry.timestamp, config.maxGapMs);
           if (duration) timeMeta = `+${duration} `;
         }
 
@@ -483,29 +731,88 @@ function processConversation(conv) {
         prevTimestamp = entry.timestamp;
       }
     }
-  }
-
-  flushPending();
+  };
 
-  if (actions.length > 0) {
-    const timeline = actions.join('\n');
+  const finish = () => {
+    flushPending();
+    if (actions.length === 0) return null;
 
     return {
-      file: conv.filePath || 'unknown',
-      timeline,
-      entries: conv.entries
+      file: filePath || 'unknown',
+      ...session,
+      timeline: actions.join('\n'),
+      steps,
+      messages: Array.from(messages.values())
     };
-  }
+  };
 
-  return null;
+  // steps grows as entries are added (read by `ato watch` between appends)
+  return { add, finish, steps };
+}
+
+/**
+ * Process a single in-memory conversation ({filePath, entries})
+ */
+function processConversation(conv, config = DEFAULT_CONFIG, formatters = []) {
+  if (!conv.entries || conv.entries.length === 0) return null;
+
+  const state = createConversationState();
+  for (const entry of conv.entries) collectEntryInfo(entry, state);
+
+  const builder = createTimelineBuilder(state, conv.filePath, config, formatters);
+  for (const entry of conv.entries) builder.add(entry);
+  return builder.finish();
+}
+
+/**
+ * Process a conversation file by streaming it twice, so only summaries are held in memory
+ * @returns {Promise<{result: Object|null, stats: Object}>} stats from readJSONL (line count, malformed lines)
+ */
+async function processConversationFile(filePath, config = DEFAULT_CONFIG, formatters = []) {
+  const state = createConversationState();
+  const stats = await readJSONL(filePath, entry => collectEntryInfo(entry, state));
+  if (stats.entries === 0) return { result: null, stats };
+
+  const builder = createTimelineBuilder(state, filePath, config, formatters);
+  await readJSONL(filePath, entry => builder.add(entry));
+  return { result: builder.finish(), stats };
 }
 
-// Process the conversation sent to this worker
+// Process conversations sent to this worker (one task at a time, reused by the pool)
 if (parentPort) {
+  if (workerData?.tokenizer) setTokenEstimator(workerData.tokenizer);
+  // Secrets are redacted before results leave the worker (and reach the cache or reports)
+  const redact = createRedactor(workerData?.redaction);
+  // Config files are plain data; formatter modules are loaded here (the main thread has
+  // already loaded them once, so a failure here is reported per file instead of crashing the worker)
+  const config = workerData?.config || DEFAULT_CONFIG;
+  let formatters = [];
+  let formatterError = null;
   try {
-    const result = processConversation(workerData.conversation);
-    parentPort.postMessage({ success: true, result });
+    formatters = loadFormatters(config);
   } catch (error) {
-    parentPort.postMessage({ success: false, error: error.message });
+    formatterError = error;
   }
+
+  parentPort.on('message', async (task) => {
+    try {
+      if (formatterError) throw formatterError;
+      if (task.filePath) {
+        const { result, stats } = await processConversationFile(task.filePath, config, formatters);
+        parentPort.postMessage({ id: task.id, success: true, result: redactSequence(result, redact), stats });
+      } else {
+        parentPort.postMessage({ id: task.id, success: true, result: redactSequence(processConversation(task.conversation, config, formatters), redact) });
+      }
+    } catch (error) {
+      parentPort.postMessage({ id: task.id, success: false, error: error.message });
+    }
+  });
 }
+
+module.exports = {
+  createConversationState,
+  collectEntryInfo,
+  createTimelineBuilder,
+  processConversation,
+  processConversationFile
+};
@@ -11,29 +11,78 @@ const path = require('path');
 const os = require('os');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { minePatterns, formatStepLabel } = require('./lib/pattern-miner');
+const { buildJsonReport, sumUsage } = require('./lib/json-report');
+const { loadPricing, computeCosts, formatCost } = require('./lib/costs');
+const { analyzeCache, formatSparkline } = require('./lib/cache-analysis');
+const { SequenceCache, statFile } = require('./lib/sequence-cache');
+const { readJSONL, formatLineErrors } = require('./lib/jsonl-reader');
+const { WorkerPool } = require('./lib/worker-pool');
+const { detectRedundantReads } = require('./lib/redundant-reads');
+const { detectBashFailures } = require('./lib/bash-failures');
+const { extractCommandTemplates } = require('./lib/shell-templates');
+const { TARGETS, collectSuggestions, detectTarget, planChanges, formatDiff, writeChanges } = require('./lib/apply');
+const { loadHelpers, recordHelpers, compareReports, compareSince } = require('./lib/compare');
+const { buildOtlpTraces } = require('./lib/otlp-export');
+const { buildHtmlReport } = require('./lib/html-report');
+const { watchConversations } = require('./lib/watch');
+const { MODES: REDACT_MODES, loadRedactPatterns, createRedactor } = require('./lib/redact');
+const { loadConfig, loadFormatters } = require('./lib/config');
+const { SessionBrowser } = require('./lib/browser');
+const { stitchSubagents, flattenSequences, getSessionMessages } = require('./lib/subagents');
+const { createFilters, matchesFilters, describeFilters } = require('./lib/filters');
+const { expandHome, encodeProjectPath, projectGlobToRegExp, summarizeProjects } = require('./lib/projects');
+const { buildRecommendations } = require('./lib/recommendations');
+const { estimateTokens, setTokenEstimator } = require('./lib/token-estimator');
 
 const execAsync = promisify(exec);
 
 class TokenOptimizer {
   constructor(options = {}) {
     this.projectPath = options.projectPath || process.cwd();
+    this.allProjects = options.allProjects || false; // Analyze every project in ~/.claude/projects
+    this.projectGlobs = options.projects || null; // Or only projects matching these globs (e.g. ['~/Code/*'])
     this.projectsDir = path.join(os.homedir(), '.claude', 'projects');
     this.atoDir = path.join(os.homedir(), '.ato', 'projects');
     this.format = options.format || 'cli';
     this.verbose = options.verbose || false;
+    this.malformedLines = []; // "file:line: error" for lines that are not valid JSON
+    this.malformedFiles = 0;
     this.skipClaudeAnalysis = options.skipClaudeAnalysis || false;
     this.print = options.print || false;
     this.recentLimit = options.recentLimit !== undefined ? options.recentLimit : null; // Default: all conversations
+    // since/until, sessions, branches, minToolCalls (null when unset)
+    this.filters = createFilters({
+      since: options.since,
+      until: options.until,
+      sessions: options.sessions,
+      branches: options.branches,
+      minToolCalls: options.minToolCalls
+    });
     this.concurrency = options.concurrency || null; // Auto-detect if not set
     this.agent = options.agent || 'claude'; // Default to claude
+    this.minOccurrences = options.minOccurrences || 3; // Minimum repeats for a detected pattern
+    this.timeBudget = options.timeBudget || null; // Max ms spent processing conversations (partial results after)
+    this.hookCacheTtl = options.hookCacheTtl || 6 * 60 * 60 * 1000; // Reuse hook recommendations for 6 hours
+    this.tokenizer = options.tokenizer || 'bpe'; // 'bpe', 'estimate', 'heuristic' or path to a countTokens module
+    this.pricingFile = options.pricingFile || null; // Overrides ~/.ato/pricing.json and bundled prices
+    this.useCache = options.useCache !== false; // Reuse processed conversations from ~/.ato/projects/<project>/cache
+    this.outputFile = options.outputFile || null; // Where --format=otlp/html writes its file (default: next to the report)
+    this.redact = options.redact || 'default'; // Secret/PII redaction: 'default', 'strict' or 'off'
+    this.redactPatterns = options.redactPatterns || []; // Extra regexes, added to ~/.ato/redact.json
 
     // Validate agent option
     const supportedAgents = ['claude'];
     if (!supportedAgents.includes(this.agent)) {
       throw new Error(`Unsupported agent: ${this.agent}. Supported agents: ${supportedAgents.join(', ')}`);
     }
-  }
 
+    if (!REDACT_MODES.includes(this.redact)) {
+      throw new Error(`Unsupported redaction mode: ${this.redact}. Supported modes: ${REDACT_MODES.join(', ')}`);
+    }
+
+    setTokenEstimator(this.tokenizer);
+  }
 
   /**
    * Check if Claude CLI is available
@@ -48,16 +97,21 @@ class TokenOptimizer {
   }
 
   /**
-   * Get project's .ato directory
+   * Whether conversations from several projects are analyzed together
+   */
+  isMultiProject() {
+    return this.allProjects || (this.projectGlobs !== null && this.projectGlobs.length > 0);
+  }
+
+  /**
+   * Get project's .ato directory (~/.ato/global for multi-project analysis)
    */
   getProjectAtoDir() {
-    let projectPath = this.projectPath;
-    if (projectPath.startsWith('~/')) {
-      projectPath = path.join(os.homedir(), projectPath.slice(2));
+    if (this.isMultiProject()) {
+      return path.join(os.homedir(), '.ato', 'global');
     }
-    const resolvedPath = path.resolve(projectPath);
-    const mappedName = resolvedPath.replace(/\//g, '-');
-    return path.join(this.atoDir, mappedName);
+    const resolvedPath = path.resolve(expandHome(this.projectPath));
+    return path.join(this.atoDir, encodeProjectPath(resolvedPath));
   }
 
   /**
@@ -140,13 +194,11 @@ class TokenOptimizer {
    * Find all project directories
    */
   findProjectDirs() {
-    // Expand ~ to home directory if present
-    let projectPath = this.projectPath;
-    if (projectPath.startsWith('~/')) {
-      projectPath = path.join(os.homedir(), projectPath.slice(2));
+    if (this.isMultiProject()) {
+      return this.findAllProjectDirs();
     }
 
-    const resolvedPath = path.resolve(projectPath);
+    const resolvedPath = path.resolve(expandHome(this.projectPath));
     if (!fs.existsSync(resolvedPath)) {
       throw new Error(`Project path not found: ${resolvedPath}`);
     }
@@ -162,8 +214,7 @@ class TokenOptimizer {
 
     // Otherwise, map project path to .claude/projects directory
     // /Users/name/Code/project -> -Users-name-Code-project
-    const mappedName = resolvedPath.replace(/\//g, '-');
-    const claudeProjectPath = path.join(this.projectsDir, mappedName);
+    const claudeProjectPath = path.join(this.projectsDir, encodeProjectPath(resolvedPath));
 
     if (!fs.existsSync(claudeProjectPath)) {
       throw new Error(`No conversation history found for project: ${resolvedPath}\nExpected: ${claudeProjectPath}`);
@@ -172,6 +223,32 @@ class TokenOptimizer {
     return [claudeProjectPath];
   }
 
+  /**
+   * Find every project directory in ~/.claude/projects, filtered by --projects globs if given
+   */
+  findAllProjectDirs() {
+    let names;
+    try {
+      names = fs.readdirSync(this.projectsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+    } catch {
+      throw new Error(`No conversation history found at ${this.projectsDir}`);
+    }
+
+    if (this.projectGlobs && this.projectGlobs.length > 0) {
+      const patterns = this.projectGlobs.map(projectGlobToRegExp);
+      names = names.filter(name => patterns.some(pattern => pattern.test(name)));
+      if (names.length === 0) {
+        throw new Error(`No projects in ${this.projectsDir} match --projects=${this.projectGlobs.join(',')}`);
+      }
+    }
+
+    return names
+      .map(name => path.join(this.projectsDir, name))
+      .filter(dir => this.findConversationFiles(dir).length > 0);
+  }
+
   /**
    * Find conversation JSONL files in a project directory
    */
@@ -188,44 +265,65 @@ class TokenOptimizer {
   /**
    * Check if a conversation file has any tool uses (quick check without full processing)
    */
-  hasToolUses(filePath) {
+  async hasToolUses(filePath) {
+    let found = false;
     try {
-      const entries = this.parseJSONL(filePath);
-      for (const entry of entries) {
-        if (entry.type === 'assistant' && entry.message?.content) {
-          for (const block of entry.message.content) {
-            if (block.type === 'tool_use') {
-              return true;
-            }
-          }
+      // Only parse lines that can contain a tool use, and stop at the first one
+      await readJSONL(filePath, (entry) => {
+        if (entry.type === 'assistant' && Array.isArray(entry.message?.content)) {
+          found = entry.message.content.some(block => block.type === 'tool_use');
         }
-      }
-      return false;
+        return !found;
+      }, { filter: line => line.includes('"tool_use"') });
     } catch {
       return false;
     }
+    return found;
   }
 
   /**
-   * Parse a JSONL file (one JSON object per line)
+   * Parse a JSONL file (one JSON object per line), streaming it line by line.
+   * Malformed lines are skipped and recorded for reportMalformedLines.
    */
-  parseJSONL(filePath) {
+  async parseJSONL(filePath) {
+    const entries = [];
     try {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      return content
-        .split('\n')
-        .filter(line => line.trim())
-        .map(line => {
-          try {
-            return JSON.parse(line);
-          } catch {
-            return null;
-          }
-        })
-        .filter(obj => obj !== null);
+      const stats = await readJSONL(filePath, entry => { entries.push(entry); });
+      this.recordMalformedLines(filePath, stats.errors);
     } catch {
       return [];
     }
+    return entries;
+  }
+
+  /**
+   * Remember malformed lines found while reading a conversation file
+   */
+  recordMalformedLines(filePath, errors) {
+    if (!errors || errors.length === 0) return;
+    this.malformedLines.push(...formatLineErrors(filePath, errors));
+    this.malformedFiles++;
+  }
+
+  /**
+   * Clear the progress line, so messages after it start on a line of their own
+   */
+  clearProgress() {
+    if (this.format === 'cli') process.stderr.write(`\r` + ' '.repeat(120) + `\r`);
+  }
+
+  /**
+   * Report malformed lines on stderr: every line with --verbose, otherwise a summary
+   */
+  reportMalformedLines() {
+    if (this.malformedLines.length === 0) return;
+    this.clearProgress();
+    if (this.verbose) {
+      console.error(`⚠️  Skipped ${this.malformedLines.length} malformed line(s):`);
+      for (const line of this.malformedLines) console.error(`   ${line}`);
+    } else if (this.format === 'cli') {
+      console.error(`⚠️  Skipped ${this.malformedLines.length} malformed line(s) in ${this.malformedFiles} file(s) (use --verbose for line numbers)`);
+    }
   }
 
   /**
@@ -295,48 +393,44 @@ class TokenOptimizer {
   /**
    * Generate analysis report for Claude to analyze with rich metadata
    */
-  generateAnalysisReport(sequences) {
+  generateAnalysisReport(sequences, patterns = this.detectPatterns(sequences)) {
     let report = '# Conversation History Analysis\n\n';
 
+    // Subagent transcripts are nested in their parent sessions but count towards totals
+    const transcripts = flattenSequences(sequences);
+
     // Calculate total tool calls from timeline strings
-    const totalToolCalls = sequences.reduce((sum, s) => {
+    const totalToolCalls = transcripts.reduce((sum, s) => {
       return sum + (s.timeline.split('\n').length || 0);
     }, 0);
 
-    // Extract actual usage data from conversation entries
-    let totalInputTokens = 0;
-    let totalOutputTokens = 0;
-    const models = new Set();
-
-    sequences.forEach(seq => {
-      if (seq.entries) {
-        seq.entries.forEach(entry => {
-          if (entry.type === 'assistant' && entry.message && entry.message.usage) {
-            const usage = entry.message.usage;
-            totalInputTokens += usage.input_tokens || 0;
-            totalOutputTokens += usage.output_tokens || 0;
-
-            if (entry.message.model && entry.message.model !== '<synthetic>') {
-              models.add(entry.message.model);
-            }
-          }
-        });
-      }
-    });
+    // Usage per API message (content blocks of one message share its usage)
+    const usage = sumUsage(sequences.flatMap(getSessionMessages));
+    const costs = this.computeCosts(sequences);
+    const sessionCosts = new Map(costs.bySession.map(s => [s.file, s]));
 
-    // Get most common model or default
-    const modelName = models.size > 0 ? Array.from(models)[0] : 'unknown';
+    const models = Object.entries(costs.byModel)
+      .sort((a, b) => b[1].messages - a[1].messages)
+      .map(([model, stats]) => `${model} (${stats.messages} messages)`);
 
     report += `## Summary\n`;
     report += `- Total Conversations: ${sequences.length}\n`;
+    if (transcripts.length > sequences.length) {
+      report += `- Subagent Transcripts: ${transcripts.length - sequences.length}\n`;
+    }
     report += `- Total Tool Calls: ${totalToolCalls}\n`;
-    report += `- Model: ${modelName}\n`;
-    report += `- Input Tokens: ${totalInputTokens}\n`;
-    report += `- Output Tokens: ${totalOutputTokens}\n\n`;
+    report += `- Models: ${models.length > 0 ? models.join(', ') : 'unknown'}\n`;
+    report += `- Input Tokens: ${usage.input_tokens}\n`;
+    report += `- Output Tokens: ${usage.output_tokens}\n`;
+    report += `- Cache Write Tokens: ${usage.cache_creation_input_tokens}\n`;
+    report += `- Cache Read Tokens: ${usage.cache_read_input_tokens}\n`;
+    report += `- Estimated Cost: ${formatCost(costs.total)}\n\n`;
+
+    report += this.formatProjectsSection(summarizeProjects(sequences, costs));
 
     // Extract tool usage from timelines
     const toolCounts = {};
-    sequences.forEach(seq => {
+    transcripts.forEach(seq => {
       const lines = seq.timeline.split('\n');
       lines.forEach(line => {
         const match = line.match(/^\d+\.\s+(\w+):/);
@@ -355,6 +449,13 @@ class TokenOptimizer {
       });
     report += '\n';
 
+    report += this.formatCostsSection(costs);
+    report += this.formatCacheSection(analyzeCache(transcripts, this.getPricing()));
+    report += this.formatRedundantReadsSection(detectRedundantReads(transcripts));
+    report += this.formatBashFailuresSection(detectBashFailures(transcripts));
+    report += this.formatCommandTemplatesSection(extractCommandTemplates(transcripts, { minOccurrences: this.minOccurrences }));
+    report += this.formatPatternsSection(patterns);
+
     // Add instructions for extracting heredoc commands
     report += `## Extracting Heredoc Commands\n\n`;
     report += `Some bash commands use heredocs and are shown as references when they're too long. To extract the full command:\n\n`;
@@ -362,14 +463,11 @@ class TokenOptimizer {
     report += `# Find the conversation file (usually in ~/.claude/projects/.../*.jsonl)\n`;
     report += `jq '.entries[] | select(.message.content[]?.tool_use_id == "TOOL_ID") | .message.content[] | select(.type == "tool_use") | .input.command' CONVERSATION_FILE.jsonl\n`;
     report += '```\n\n';
-    report += `Replace \`TOOL_ID\` with the ID shown in the heredoc reference.\n\n`;
+    report += `Replace \`TOOL_ID\` with the ID shown in the heredoc reference, or open the session in \`ato browse\` and press Enter on the call.\n\n`;
 
     // Sort conversations by timestamp (newest first)
     const conversationsWithTimestamps = sequences.map((seq, index) => {
-      const timestamps = (seq.entries || [])
-        .map(e => e.timestamp ? new Date(e.timestamp).getTime() : null)
-        .filter(t => t !== null);
-      const startTime = timestamps.length > 0 ? Math.min(...timestamps) : 0;
+      const startTime = seq.startTime ? new Date(seq.startTime).getTime() : 0;
       return { seq, index, startTime };
     });
 
@@ -382,34 +480,344 @@ class TokenOptimizer {
       const filename = seq.file || `session-${index}`;
       const sessionId = path.basename(filename, '.jsonl');
 
-      // Calculate session metadata
-      const timestamps = (seq.entries || [])
-        .map(e => e.timestamp ? new Date(e.timestamp).getTime() : null)
-        .filter(t => t !== null);
-
       let startTimeStr = '';
       let durationStr = '';
 
-      if (timestamps.length > 0) {
-        const start = Math.min(...timestamps);
-        const end = Math.max(...timestamps);
-        const startDate = new Date(start);
-        startTimeStr = ` [${this.formatSessionStartTime(startDate)}]`;
+      if (seq.startTime) {
+        const start = new Date(seq.startTime).getTime();
+        const end = new Date(seq.endTime).getTime();
+        startTimeStr = ` [${this.formatSessionStartTime(new Date(start))}]`;
 
-        if (timestamps.length > 1) {
+        if (end > start) {
           durationStr = ` (${this.formatSessionDuration(end - start)})`;
         }
       }
 
+      const sessionCost = sessionCosts.get(seq.file);
+      let costStr = sessionCost?.cost ? ` ${formatCost(sessionCost.cost)}` : '';
+      if (sessionCost?.subagentCost) costStr += ` (incl. ${formatCost(sessionCost.subagentCost)} in subagents)`;
+
       // Build session section
-      let sessionSection = `### Session ${sessionId}${startTimeStr}${durationStr}\n`;
-      sessionSection += `${seq.timeline}\n\n`;
+      let sessionSection = `### Session ${sessionId}${startTimeStr}${durationStr}${costStr}\n`;
+      sessionSection += `${this.formatTimeline(seq, sessionCost?.subagents || [])}\n\n`;
       report += sessionSection;
     }
 
     return report;
   }
 
+  /**
+   * Format a session timeline with each subagent's timeline nested under its Task call
+   */
+  formatTimeline(seq, subagentCosts = [], indent = '') {
+    const subagents = new Map((seq.subagents || []).map(sub => [sub.parentActionNumber, sub]));
+    const lines = [];
+
+    for (const line of seq.timeline.split('\n')) {
+      lines.push(line ? `${indent}${line}` : line);
+
+      const match = line.match(/^(\d+)\. Task:/);
+      const sub = match ? subagents.get(parseInt(match[1], 10)) : null;
+      if (!sub) continue;
+
+      const subId = path.basename(sub.file || 'unknown', '.jsonl');
+      const cost = subagentCosts.find(s => s.file === sub.file)?.cost;
+      const toolCalls = (sub.steps || []).filter(step => step.type === 'tool').length;
+      lines.push(`${indent}   ↳ Subagent ${subId} (${toolCalls} tool calls${cost ? `, ${formatCost(cost)}` : ''}):`);
+      lines.push(this.formatTimeline(sub, [], `${indent}     `));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Generate structured JSON report (same data as the Markdown report)
+   */
+  generateJsonReport(sequences, patterns = this.detectPatterns(sequences)) {
+    const costs = this.computeCosts(sequences);
+    return buildJsonReport(sequences, {
+      projectPath: this.isMultiProject() ? null : this.projectPath,
+      projects: summarizeProjects(sequences, costs),
+      patterns,
+      costs,
+      cache: analyzeCache(flattenSequences(sequences), this.getPricing()),
+      redundantReads: detectRedundantReads(flattenSequences(sequences)),
+      bashFailures: detectBashFailures(flattenSequences(sequences)),
+      commandTemplates: extractCommandTemplates(flattenSequences(sequences), { minOccurrences: this.minOccurrences }),
+      tokenizer: this.tokenizer
+    });
+  }
+
+  /**
+   * Load pricing table: bundled prices, then ~/.ato/pricing.json, then --pricing file
+   */
+  getPricing() {
+    if (!this.pricing) {
+      if (this.pricingFile && !fs.existsSync(this.pricingFile)) {
+        throw new Error(`Pricing file not found: ${this.pricingFile}`);
+      }
+      const userPricing = path.join(os.homedir(), '.ato', 'pricing.json');
+      this.pricing = loadPricing([userPricing, this.pricingFile]);
+    }
+    return this.pricing;
+  }
+
+  /**
+   * Timeline settings from .atorc.json / ato.config.js in ~/.ato/ and the project, merged
+   */
+  getConfig() {
+    if (!this.config) {
+      const projectDir = this.isMultiProject() ? null : path.resolve(expandHome(this.projectPath));
+      this.config = loadConfig([path.join(os.homedir(), '.ato'), projectDir]);
+      if (this.verbose && this.config.files.length > 0) {
+        console.error(`⚙️  Config: ${this.config.files.join(', ')}`);
+      }
+      loadFormatters(this.config); // Missing or broken formatter modules fail here rather than in every worker
+    }
+    return this.config;
+  }
+
+  /**
+   * Cache key part for the config: its settings and when formatter modules last changed
+   */
+  getConfigKey() {
+    const config = this.getConfig();
+    const formatterTimes = Object.values(config.formatters).map(file => {
+      try {
+        return fs.statSync(file).mtimeMs;
+      } catch {
+        return null;
+      }
+    });
+    return JSON.stringify({ ...config, files: undefined, formatterTimes });
+  }
+
+  /**
+   * Redaction settings as plain data (passed to workers): mode and user patterns
+   * from ~/.ato/redact.json and --redact-pattern
+   */
+  getRedaction() {
+    if (!this.redaction) {
+      const userPatterns = path.join(os.homedir(), '.ato', 'redact.json');
+      this.redaction = {
+        mode: this.redact,
+        patterns: [...loadRedactPatterns([userPatterns]), ...this.redactPatterns]
+      };
+      createRedactor(this.redaction); // Invalid patterns fail here rather than in a worker
+    }
+    return this.redaction;
+  }
+
+  /**
+   * Compute costs by session, model and tool type
+   */
+  computeCosts(sequences) {
+    return computeCosts(sequences, this.getPricing());
+  }
+
+  /**
+   * Format cost breakdown as a report section
+   */
+  formatCostsSection(costs) {
+    let section = `## Costs\n`;
+    section += `- Total: ${formatCost(costs.total)} (input ${formatCost(costs.input)}, output ${formatCost(costs.output)}, `;
+    section += `cache writes ${formatCost(costs.cacheWrite)}, cache reads ${formatCost(costs.cacheRead)})\n`;
+    if (costs.unpricedModels.length > 0) {
+      section += `- Unpriced models (add them to ~/.ato/pricing.json): ${costs.unpricedModels.join(', ')}\n`;
+    }
+    section += '\n';
+
+    section += `### By Model\n`;
+    Object.entries(costs.byModel)
+      .sort((a, b) => b[1].cost - a[1].cost)
+      .forEach(([model, stats]) => {
+        section += `- ${model}: ${stats.priced ? formatCost(stats.cost) : 'unpriced'} (${stats.messages} messages)\n`;
+      });
+    section += '\n';
+
+    section += `### By Tool\n`;
+    Object.entries(costs.byTool)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([tool, cost]) => {
+        section += `- ${tool}: ${formatCost(cost)}\n`;
+      });
+    section += '\n';
+
+    section += `### By Session (top 10)\n`;
+    costs.bySession.slice(0, 10).forEach(session => {
+      section += `- ${session.id}: ${formatCost(session.cost)}\n`;
+    });
+    section += '\n';
+
+    return section;
+  }
+
+  /**
+   * Mine repeated tool-call sequences locally
+   */
+  detectPatterns(sequences) {
+    return minePatterns(flattenSequences(sequences), { minOccurrences: this.minOccurrences });
+  }
+
+  /**
+   * Format prompt-cache efficiency as a report section
+   */
+  formatCacheSection(cache) {
+    const percent = (ratio) => ratio === null ? 'n/a' : `${(ratio * 100).toFixed(1)}%`;
+
+    let section = `## Prompt Cache Efficiency\n`;
+    section += `- Cache Hit Ratio: ${percent(cache.hitRatio)}\n`;
+    section += `- Cache Busts: ${cache.busts} (${cache.bustTokens} tokens re-written, ~${formatCost(cache.bustCost)} extra)\n`;
+    Object.entries(cache.byCause)
+      .sort((a, b) => b[1].tokens - a[1].tokens)
+      .forEach(([cause, stats]) => {
+        section += `  - ${cause}: ${stats.count} busts, ${stats.tokens} tokens, ~${formatCost(stats.extraCost)}\n`;
+      });
+    section += '\n';
+
+    const sessions = cache.sessions
+      .filter(s => s.hitRatio !== null)
+      .sort((a, b) => b.bustCost - a.bustCost || a.hitRatio - b.hitRatio)
+      .slice(0, 10);
+    if (sessions.length > 0) {
+      section += `### Sessions (most expensive busts first, hit ratio per 10 min)\n`;
+      sessions.forEach(session => {
+        section += `- ${session.id}: ${percent(session.hitRatio)} [${formatSparkline(session.series)}]`;
+        section += ` ${session.busts.length} busts (~${formatCost(session.bustCost)})\n`;
+        session.busts.forEach(bust => {
+          const gap = this.formatSessionDuration(bust.gapMs);
+          section += `  - ${bust.timestamp}: ${bust.tokens} tokens re-cached after ${gap} (${bust.cause})\n`;
+        });
+      });
+      section += '\n';
+    }
+
+    return section;
+  }
+
+  /**
+   * Format Bash failure loops (attempts until success) and commands that always fail
+   */
+  formatBashFailuresSection(failures) {
+    if (failures.loops.length === 0 && failures.alwaysFailing.length === 0) return '';
+
+    let section = `## Bash Failure Loops\n`;
+    section += `- ${failures.loops.length} loops (${failures.unresolved} never succeeded), ~${failures.tokens} tokens, ${this.formatSessionDuration(failures.durationMs)} wall-clock\n\n`;
+
+    if (failures.byFamily.length > 0) {
+      section += `### By Command (top 10)\n`;
+      failures.byFamily.slice(0, 10).forEach(stats => {
+        section += `- \`${stats.family}\`: ${stats.loops} loops, ${stats.failures}/${stats.attempts} attempts failed, ~${stats.tokens} tokens, ${this.formatSessionDuration(stats.durationMs)}\n`;
+      });
+      section += '\n';
+
+      section += `### Costliest Loops\n`;
+      failures.loops.slice(0, 5).forEach(loop => {
+        const outcome = loop.resolved ? 'then succeeded' : 'never succeeded';
+        section += `- ${loop.session}: \`${loop.family}\` ${loop.kind}, ${loop.failures} failures ${outcome} (exit ${loop.exitCodes.join('/')}), ~${loop.tokens} tokens, ${this.formatSessionDuration(loop.durationMs)}\n`;
+        loop.commands.slice(0, 3).forEach(command => {
+          section += `  - \`${command.split('\n')[0]}\`\n`;
+        });
+      });
+      section += '\n';
+    }
+
+    if (failures.alwaysFailing.length > 0) {
+      section += `### Always Failing (missing script, wrong docs or broken environment?)\n`;
+      failures.alwaysFailing.slice(0, 10).forEach(stats => {
+        section += `- \`${stats.family}\` in ${stats.project || 'unknown project'}: failed all ${stats.runs} runs (last exit ${stats.lastExitCode})\n`;
+      });
+      section += '\n';
+    }
+
+    return section;
+  }
+
+  /**
+   * Format Bash command templates (commands that differ only in their arguments)
+   */
+  formatCommandTemplatesSection(templates) {
+    if (templates.length === 0) return '';
+
+    let section = `## Command Templates\n`;
+    section += `Commands run repeatedly with different arguments (candidates for parameterized scripts):\n\n`;
+    templates.slice(0, 10).forEach(template => {
+      section += `- \`${template.template}\`: ${template.count} runs in ${template.sessions.length} sessions\n`;
+      template.parameters.filter(param => param.distinct > 1).forEach(param => {
+        const pattern = param.pattern ? ` (${param.pattern})` : '';
+        const values = param.values.map(value => `\`${value}\``).join(', ');
+        section += `  - ${param.name}${pattern}: ${param.distinct} values, e.g. ${values}\n`;
+      });
+    });
+    section += '\n';
+
+    return section;
+  }
+
+  /**
+   * Format redundant file reads (content the agent already had), worst files first
+   */
+  formatRedundantReadsSection(redundant) {
+    if (redundant.redundantReads === 0) return '';
+
+    let section = `## Redundant File Reads\n`;
+    section += `- ${redundant.redundantReads} of ${redundant.totalReads} reads re-read unchanged content (~${redundant.wastedTokens} tokens wasted)\n`;
+    section += `- duplicate: same range re-read, overlap: part of the range re-read, after-write: read right after the agent's own Write\n\n`;
+
+    section += `### Files (top 10)\n`;
+    redundant.files.slice(0, 10).forEach(file => {
+      const kinds = Object.entries(file.byKind)
+        .filter(([, count]) => count > 0)
+        .map(([kind, count]) => `${count} ${kind}`)
+        .join(', ');
+      section += `- ${file.file}: ${file.redundantReads} redundant reads (${kinds}), ~${file.wastedTokens} tokens in ${file.sessions.length} sessions\n`;
+    });
+    section += '\n';
+
+    return section;
+  }
+
+  /**
+   * Format per-project subtotals (only when several projects are analyzed)
+   */
+  formatProjectsSection(projects) {
+    if (projects.length < 2) return '';
+
+    let section = `## Projects\n`;
+    projects.forEach(project => {
+      const cost = project.cost !== null ? `, ${formatCost(project.cost)}` : '';
+      section += `- ${project.path}: ${project.conversations} conversations, ${project.toolCalls} tool calls${cost}\n`;
+    });
+    return section + '\n';
+  }
+
+  /**
+   * Format locally detected patterns as a report section
+   */
+  formatPatternsSection(patterns) {
+    if (patterns.length === 0) return '';
+
+    let section = `## Detected Patterns\n\n`;
+    section += `Repeated tool-call sequences with no thinking block in between, ranked by tool calls saved:\n\n`;
+
+    patterns.forEach((pattern, index) => {
+      section += `### Pattern ${index + 1}: ${pattern.kind} `;
+      section += `(${pattern.length} calls, ${pattern.occurrences} occurrences in ${pattern.sessions.length} sessions, ~${pattern.savedCalls} calls saved)\n`;
+      section += '```\n';
+      pattern.steps.forEach((key, i) => {
+        section += `${i + 1}. ${formatStepLabel(key)}\n`;
+      });
+      section += '```\n';
+      section += `Sessions: ${pattern.sessions.join(', ')}\n`;
+      if (pattern.projects.length > 1) {
+        section += `Projects: ${pattern.projects.join(', ')} (shared across ${pattern.projects.length} projects: candidate for a global alias)\n`;
+      }
+      section += '\n';
+    });
+
+    return section;
+  }
+
   /**
    * Call Claude CLI to analyze patterns with user confirmation
    */
@@ -443,9 +851,8 @@ Total lines: ${totalLines}
 
 ${sharedInstructions}`;
 
-    // Calculate approximate sizes (bytes / 4 ≈ tokens)
-    const reportBytes = report.length;
-    const reportTokensApprox = Math.ceil(reportBytes / 4);
+    // Estimate report size in tokens
+    const reportTokensApprox = estimateTokens(report);
 
     // Show file info and prompt preview
     console.log('\n' + '='.repeat(70));
@@ -581,145 +988,200 @@ ${sharedInstructions}`;
       sum + (r.current_tokens - r.optimized_tokens) * r.frequency, 0
     );
 
-    let output = 'Token Optimization Detected:\\n\\n';
+    let output = 'Token Optimization Detected:\n\n';
     top3.forEach(r => {
       const savings = (r.current_tokens - r.optimized_tokens) * r.frequency;
-      output += `• ${r.pattern_name}: ${r.frequency} occurrences (${savings} tokens saved)\\n`;
+      output += `• ${r.pattern_name}: ${r.frequency} occurrences (${savings} tokens saved)\n`;
     });
 
-    output += `\\nTotal potential savings: ${totalSavings} tokens\\n\\n`;
+    output += `\nTotal potential savings: ${totalSavings} tokens\n\n`;
     output += 'Ask me to generate helpers with: "Generate token optimization helpers"';
 
     return output;
   }
 
   /**
-   * Main run method
+   * Find, parse and process conversations into sequences
    */
-  async run() {
-    try {
-      // Check Claude CLI (skip if testing)
-      if (!this.skipClaudeAnalysis) {
-        const hasClaudeCli = await this.checkClaudeCli();
-        if (!hasClaudeCli) {
-          throw new Error(
-            'Claude CLI not found. Please install Claude Code from https://claude.ai/claude-code'
-          );
-        }
-      }
+  async collectSequences() {
+    // The time budget covers everything below, including the quick scan for tool uses
+    const startTime = Date.now();
+    const deadline = this.timeBudget ? startTime + this.timeBudget : null;
+    const outOfTime = () => deadline !== null && Date.now() > deadline;
+    // The quick scan gets half the budget, leaving the rest for processing what it found
+    const scanDeadline = deadline === null ? null : startTime + this.timeBudget / 2;
+    this.truncated = false; // Set when the time budget left files unprocessed
+
+    // Find and parse conversations
+    const projectDirs = this.findProjectDirs();
+    if (projectDirs.length === 0) {
+      throw new Error(`No conversation history found at ${this.projectsDir}`);
+    }
 
-      // Find and parse conversations
-      const projectDirs = this.findProjectDirs();
-      if (projectDirs.length === 0) {
-        throw new Error(`No conversation history found at ${this.projectsDir}`);
-      }
+    // Collect all conversation files from all project directories
+    const allFiles = [];
+    const fileProjects = new Map(); // File -> project directory name
+    for (const dir of projectDirs) {
+      const files = this.findConversationFiles(dir);
+      allFiles.push(...files);
+      files.forEach(file => fileProjects.set(file, path.basename(dir)));
+    }
 
-      // Collect all conversation files from all project directories
-      const allFiles = [];
-      for (const dir of projectDirs) {
-        const files = this.findConversationFiles(dir);
-        allFiles.push(...files);
+    // Sort files by timestamp (newest first)
+    let filesWithTimestamps = allFiles.map(file => ({
+      path: file,
+      timestamp: this.getFileTimestamp(file)
+    }));
+    filesWithTimestamps.sort((a, b) => b.timestamp - a.timestamp);
+
+    // A file last modified before --since cannot contain entries in the range
+    if (this.filters?.since) {
+      filesWithTimestamps = filesWithTimestamps.filter(f => f.timestamp >= this.filters.since.getTime());
+      if (filesWithTimestamps.length === 0) {
+        throw new Error(`No conversations match the filters (${describeFilters(this.filters)})`);
       }
+    }
 
-      // Sort files by timestamp (newest first)
-      const filesWithTimestamps = allFiles.map(file => ({
-        path: file,
-        timestamp: this.getFileTimestamp(file)
-      }));
-      filesWithTimestamps.sort((a, b) => b.timestamp - a.timestamp);
-
-      // If recentLimit is set, filter to only conversations with tool uses, then take N most recent
-      // Otherwise, process all files (they'll be filtered later if they have no tool uses)
-      let filesToProcess;
-      if (this.recentLimit !== null) {
-        // Quick scan: find files with tool uses, then take the N most recent
-        const filesWithToolUses = [];
-        for (const file of filesWithTimestamps) {
-          if (this.hasToolUses(file.path)) {
-            filesWithToolUses.push(file.path);
-            if (filesWithToolUses.length >= this.recentLimit) {
-              break;
-            }
+    // Processed conversations from previous runs (keyed by path + size + mtime)
+    const cache = this.useCache
+      ? new SequenceCache(path.join(this.getProjectAtoDir(), 'cache'), `tokenizer=${this.tokenizer};redact=${JSON.stringify(this.getRedaction())};config=${this.getConfigKey()}`).load()
+      : null;
+
+    // If recentLimit is set, filter to only conversations with tool uses, then take N most recent
+    // Otherwise, process all files (they'll be filtered later if they have no tool uses)
+    // With filters, --recent applies to the matching sessions instead (see below)
+    let filesToProcess;
+    if (this.recentLimit !== null && !this.filters) {
+      // Quick scan: find files with tool uses, then take the N most recent
+      const filesWithToolUses = [];
+      let scannedFiles = 0;
+      for (const file of filesWithTimestamps) {
+        let toolUses = cache ? cache.hasToolUses(file.path) : undefined;
+        if (toolUses === undefined) {
+          // Out of time: process what was found so far. Scan results are cached and every run
+          // scans at least one new file, so the next run gets further
+          if (scannedFiles > 0 && filesWithToolUses.length > 0 && scanDeadline !== null && Date.now() > scanDeadline) {
+            this.truncated = true;
+            break;
+          }
+          scannedFiles++;
+          const stat = cache ? statFile(file.path) : null;
+          toolUses = await this.hasToolUses(file.path);
+          if (cache && stat) cache.setToolUses(file.path, toolUses, stat);
+        }
+        if (toolUses) {
+          filesWithToolUses.push(file.path);
+          if (filesWithToolUses.length >= this.recentLimit) {
+            break;
           }
         }
-        filesToProcess = filesWithToolUses;
-      } else {
-        filesToProcess = filesWithTimestamps.map(f => f.path);
       }
+      filesToProcess = filesWithToolUses;
+    } else {
+      filesToProcess = filesWithTimestamps.map(f => f.path);
+    }
 
-      if (this.format === 'cli' && !this.print) {
-        console.log(`\n📂 Found ${allFiles.length} conversation file(s)`);
-        if (this.recentLimit !== null) {
-          if (filesToProcess.length < this.recentLimit) {
-            console.log(`📅 Found ${filesToProcess.length} conversation(s) with tool uses (requested ${this.recentLimit})\n`);
-          } else {
-            console.log(`📅 Analyzing ${filesToProcess.length} most recent conversation(s) with tool uses\n`);
-          }
+    if (this.format === 'cli' && !this.print) {
+      const projectInfo = this.isMultiProject() ? ` in ${projectDirs.length} project(s)` : '';
+      console.log(`\n📂 Found ${allFiles.length} conversation file(s)${projectInfo}`);
+      if (this.recentLimit !== null) {
+        if (filesToProcess.length < this.recentLimit) {
+          console.log(`📅 Found ${filesToProcess.length} conversation(s) with tool uses (requested ${this.recentLimit})\n`);
         } else {
-          console.log(`📅 Analyzing all ${filesToProcess.length} conversation(s)\n`);
+          console.log(`📅 Analyzing ${filesToProcess.length} most recent conversation(s) with tool uses\n`);
         }
+      } else {
+        console.log(`📅 Analyzing all ${filesToProcess.length} conversation(s)\n`);
       }
+    }
 
-      // Parse and analyze in batches
-      const PARSE_BATCH = 50; // Parse 50 files at a time (I/O bound)
+    // Analyze in batches (workers stream each file, so nothing is parsed in the main thread)
+    const PARSE_BATCH = 50; // Check the cache for 50 files at a time
 
-      // CPU-bound analysis: Use cpus - 1 to leave room for main thread
-      // Cap at 16 workers for better performance on high-core machines
-      const cpuCount = os.cpus().length;
-      const ANALYZE_BATCH = this.concurrency || Math.min(16, Math.max(2, cpuCount - 1));
+    // CPU-bound analysis: Use cpus - 1 to leave room for main thread
+    // Cap at 16 workers for better performance on high-core machines
+    const cpuCount = os.cpus().length;
+    const ANALYZE_BATCH = this.concurrency || Math.min(16, Math.max(2, cpuCount - 1));
 
-      const allConversations = [];
-      const allSequences = [];
-      let processedFiles = 0;
-      const startTime = Date.now();
+    let conversationCount = 0;
+    this.malformedLines = [];
+    this.malformedFiles = 0;
+    const allSequences = [];
+    let processedFiles = 0;
+    let analyzedFiles = 0; // Files handed to workers that finished (or failed) in time
 
-      if (this.format === 'cli' && !this.print) {
-        console.log(`⚙️  Processing in batches`);
-      }
+    if (this.format === 'cli' && !this.print) {
+      console.log(`⚙️  Processing in batches`);
+    }
 
+    // Workers are reused across files and stopped once every batch is done
+    const pool = new WorkerPool(path.join(__dirname, 'conversation-worker.js'), {
+      size: ANALYZE_BATCH,
+      workerData: { tokenizer: this.tokenizer, redaction: this.getRedaction(), config: this.getConfig() }
+    });
+
+    try {
       for (let i = 0; i < filesToProcess.length; i += PARSE_BATCH) {
-        // Parse batch
+        // Reuse cached results (cheap, so collected even when out of time); process only new or changed files
         const parseBatch = filesToProcess.slice(i, i + PARSE_BATCH);
-        const parsedConversations = await Promise.all(
-          parseBatch.map(async (file) => {
-            const entries = this.parseJSONL(file);
-            return entries.length > 0 ? { filePath: file, entries } : null;
-          })
-        );
-        const validConversations = parsedConversations.filter(c => c !== null);
-
-        if (validConversations.length === 0) continue;
-
-        // Analyze batch with workers
-        const { Worker } = require('worker_threads');
-        const batchSequences = [];
+        const uncachedFiles = [];
+        for (const file of parseBatch) {
+          const cached = cache ? cache.get(file) : undefined;
+          if (cached === undefined) {
+            uncachedFiles.push(file);
+            continue;
+          }
+          conversationCount++;
+          if (cached) allSequences.push(cached);
+        }
 
-        for (let j = 0; j < validConversations.length; j += ANALYZE_BATCH) {
-          const analyzeBatch = validConversations.slice(j, j + ANALYZE_BATCH);
-          const workerPromises = analyzeBatch.map((conv) => {
-            return new Promise((resolve, reject) => {
-              const worker = new Worker(path.join(__dirname, 'conversation-worker.js'), {
-                workerData: { conversation: conv }
-              });
+        // Analyze batch with pooled workers (a file whose worker crashes is retried, then skipped)
+        const batchSequences = [];
 
-              worker.on('message', (msg) => {
-                if (msg.success) {
-                  resolve(msg.result);
-                } else {
-                  reject(new Error(msg.error));
+        for (let j = 0; j < uncachedFiles.length; j += ANALYZE_BATCH) {
+          // Out of time budget: keep what has been analyzed so far (at least one file, so every run makes progress)
+          if (outOfTime() && analyzedFiles > 0) {
+            this.truncated = true;
+            break;
+          }
+          const analyzeBatch = uncachedFiles.slice(j, j + ANALYZE_BATCH);
+          let stopped = false;
+          const tasks = analyzeBatch.map(filePath => {
+            // Stat before the worker reads the file, so lines appended meanwhile make the entry stale
+            const stat = cache ? statFile(filePath) : null;
+            return pool.run({ filePath })
+              .catch(error => ({ success: false, error: error.message }))
+              .then(msg => {
+                if (stopped) return; // Past the deadline: files still running are dropped
+                analyzedFiles++;
+                if (!msg.success) {
+                  this.clearProgress();
+                  console.error(`⚠️  Skipped ${filePath}: ${msg.error}`);
+                  return;
                 }
-                worker.terminate();
+                const { result, stats } = msg;
+                this.recordMalformedLines(filePath, stats.errors);
+                // Files without a single valid line are not conversations (and are not cached)
+                if (stats.entries === 0) return;
+                conversationCount++;
+                if (cache && stat) cache.set(filePath, result, stat);
+                if (result) batchSequences.push(result);
               });
-
-              worker.on('error', reject);
-              worker.on('exit', (code) => {
-                if (code !== 0) reject(new Error(`Worker exit ${code}`));
-              });
-            });
           });
 
-          const results = await Promise.all(workerPromises);
-          batchSequences.push(...results.filter(r => r !== null));
+          // Wait for the batch, or only until the deadline (a single large file can take longer);
+          // a run that has analyzed nothing yet waits for its first file, so the next run gets further
+          const finished = Promise.all(tasks).then(() => false);
+          let timer;
+          const expired = () => new Promise(resolve => { timer = setTimeout(resolve, Math.max(0, deadline - Date.now())); })
+            .then(() => analyzedFiles > 0 || Promise.race(tasks).then(() => true));
+          const timedOut = deadline === null ? await finished : await Promise.race([finished, expired()]);
+          clearTimeout(timer);
+          if (timedOut) {
+            stopped = true;
+            this.truncated = true;
+            break;
+          }
         }
 
         processedFiles += parseBatch.length;
@@ -735,37 +1197,388 @@ ${sharedInstructions}`;
           process.stderr.write(`\r   📊 Progress: ${processedFiles}/${filesToProcess.length} files (${percent}%) | ⏱️  ${elapsed}s elapsed, ~${eta}s remaining`);
         }
 
-        allConversations.push(...validConversations);
         allSequences.push(...batchSequences);
       }
+    } finally {
+      await pool.close();
+      this.clearProgress(); // Errors and warnings below would otherwise follow the progress line
+    }
+
+    if (cache) cache.save();
+
+    this.reportMalformedLines();
+
+    // Tag each conversation with its project directory
+    for (const seq of allSequences) {
+      seq.project = fileProjects.get(seq.file) || null;
+    }
+
+    if (conversationCount === 0) {
+      if (this.truncated) {
+        throw new Error(`Time budget of ${this.timeBudget}ms ran out before any conversation was processed`);
+      }
+      throw new Error('No valid conversation data found');
+    }
+
+    if (allSequences.length === 0) {
+      const suggestion = allFiles.length > filesToProcess.length
+        ? `Try analyzing more conversations with --recent=${Math.min(allFiles.length, 50)} to find conversations with tool uses.`
+        : `All ${conversationCount} conversation file(s) in this project have no tool uses. Try a different project or check if conversations have tool calls.`;
+      throw new Error(
+        `Found ${conversationCount} conversation file(s) but none contain tool uses.\n` +
+        `This tool analyzes conversations that include tool calls (Read, Write, Edit, Bash, etc.).\n` +
+        suggestion
+      );
+    }
+
+    // Nest subagent transcripts under the Task calls that started them
+    let sequences = stitchSubagents(allSequences);
+
+    // Filter on entry timestamps and metadata, then take the --recent most recent matches
+    if (this.filters) {
+      sequences = sequences.filter(seq => matchesFilters(seq, this.filters));
+      if (sequences.length === 0) {
+        throw new Error(`No conversations match the filters (${describeFilters(this.filters)})`);
+      }
+      if (this.recentLimit !== null) {
+        sequences = sequences
+          .sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''))
+          .slice(0, this.recentLimit);
+      }
+    }
+
+    if (this.format === 'cli') {
+      const totalTime = Math.round((Date.now() - startTime) / 1000);
+      if (!this.print) {
+        const cacheInfo = cache && cache.hits > 0 ? `, ${cache.hits} from cache` : '';
+        const filterInfo = this.filters ? `, ${sequences.length} matching ${describeFilters(this.filters)}` : '';
+        console.log(`✓ Analysis complete (${allSequences.length} conversations in ${totalTime}s${cacheInfo}${filterInfo})\n`);
+      }
+      if (this.truncated) {
+        console.error(`⚠️  Time budget of ${this.timeBudget}ms reached: partial results from ${conversationCount} conversation(s)`);
+      }
+    }
+
+    return sequences;
+  }
+
+  /**
+   * Analyze conversations and return the structured report (programmatic use)
+   */
+  async analyze() {
+    const sequences = await this.collectSequences();
+    return this.generateJsonReport(sequences);
+  }
+
+  /**
+   * Compute recommendations for the hook, reusing the cached result while fresh
+   */
+  async runHook() {
+    const cacheFile = path.join(this.getProjectAtoDir(), 'recommendations.json');
+
+    try {
+      const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+      if (Date.now() - new Date(cached.generatedAt).getTime() < this.hookCacheTtl) {
+        return this.formatOutput(cached.recommendations);
+      }
+    } catch {
+      // No usable cache, compute below
+    }
+
+    const sequences = await this.collectSequences();
+    const recommendations = buildRecommendations(this.detectPatterns(sequences), flattenSequences(sequences));
+
+    // Partial results (out of time budget) are not cached; the next run continues from the sequence cache
+    if (this.truncated) return this.formatOutput(recommendations);
+
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      conversations: sequences.length,
+      recommendations
+    }, null, 2));
+
+    return this.formatOutput(recommendations);
+  }
+
+  /**
+   * Ask a question on the terminal and resolve with the answer
+   */
+  askQuestion(question) {
+    const readline = require('readline');
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise(resolve => {
+      rl.question(question, answer => {
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
+  }
+
+  /**
+   * Turn selected suggestions into Makefile targets, package.json scripts,
+   * pyproject.toml tasks or scripts, shown as a diff and written after confirmation
+   *
+   * @param {Object} [options]
+   * @param {string} [options.target] - 'make', 'npm', 'pyproject' or 'script' (default: detected)
+   * @param {Array<number>} [options.select] - 1-based suggestion numbers (default: ask)
+   * @param {boolean} [options.yes] - Write without asking
+   * @param {boolean} [options.dryRun] - Only show the diff
+   */
+  async runApply(options = {}) {
+    if (this.isMultiProject()) {
+      throw new Error('ato apply writes into one project: use --project-path instead of --all-projects/--projects');
+    }
+    if (options.target && !TARGETS.includes(options.target)) {
+      throw new Error(`Unknown target: ${options.target}. Supported targets: ${TARGETS.join(', ')}`);
+    }
+
+    const projectDir = path.resolve(expandHome(this.projectPath));
+    const sequences = await this.collectSequences();
+    const suggestions = collectSuggestions(this.generateJsonReport(sequences));
+    if (suggestions.length === 0) {
+      return 'No suggestions to apply (no repeated Bash command chains or command templates found).';
+    }
+
+    const target = options.target || detectTarget(projectDir);
+    console.log(`Suggestions (target: ${target}):\n`);
+    suggestions.forEach((suggestion, index) => {
+      const command = suggestion.kind === 'template' ? suggestion.template : suggestion.commands.join(' && ');
+      console.log(`${index + 1}. ${suggestion.name} (${suggestion.kind}, ${suggestion.description})`);
+      console.log(`   ${command}`);
+    });
+    console.log('');
+
+    let select = options.select;
+    if (!select) {
+      if (!process.stdin.isTTY) {
+        throw new Error('Choose suggestions with --select=<n>[,<n>] when not running in a terminal');
+      }
+      const answer = await this.askQuestion('Apply which suggestions? (e.g. 1,3 or "all"): ');
+      select = answer === 'all' ? suggestions.map((_, i) => i + 1) : answer.split(',').map(n => parseInt(n, 10));
+    }
+
+    const invalid = select.filter(n => !Number.isInteger(n) || n < 1 || n > suggestions.length);
+    if (invalid.length > 0 || select.length === 0) {
+      throw new Error(`Invalid selection: choose numbers between 1 and ${suggestions.length}`);
+    }
+
+    const { changes, helpers } = planChanges(select.map(n => suggestions[n - 1]), { projectDir, target });
+    if (changes.length === 0) return 'Nothing to change.';
+    changes.forEach(change => console.log(`${formatDiff(change)}\n`));
+
+    if (options.dryRun) return `Dry run: ${changes.length} file(s) not written.`;
+    if (!options.yes) {
+      if (!process.stdin.isTTY) {
+        return `Not written: pass --yes to write ${changes.length} file(s) when not running in a terminal.`;
+      }
+      const answer = await this.askQuestion(`Write ${changes.length} file(s)? [y/N]: `);
+      if (answer.toLowerCase() !== 'y') return '❌ Cancelled by user';
+    }
+
+    writeChanges(changes, projectDir);
+
+    // Recorded so `ato compare` can measure whether the helpers get used
+    fs.mkdirSync(this.getProjectAtoDir(), { recursive: true });
+    recordHelpers(this.getHelpersFile(), helpers);
+    return `✓ Wrote ${changes.map(change => change.file).join(', ')}`;
+  }
+
+  /**
+   * Helpers written by `ato apply` for this project
+   */
+  getHelpersFile() {
+    return path.join(this.getProjectAtoDir(), 'helpers.json');
+  }
+
+  /**
+   * Load a saved JSON report by path, number in --list (1 = newest) or timestamp prefix
+   */
+  loadReport(ref) {
+    const reports = this.listAllReports();
+    let file = null;
+    if (fs.existsSync(expandHome(ref))) {
+      file = expandHome(ref);
+    } else if (/^\d+$/.test(ref) && parseInt(ref, 10) >= 1 && parseInt(ref, 10) <= reports.length) {
+      file = reports[parseInt(ref, 10) - 1].path;
+    } else {
+      const match = reports.find(report => report.filename.startsWith(`report-${ref}`));
+      if (!match) throw new Error(`Report not found: ${ref} (use a path, a number from --list or a timestamp)`);
+      file = match.path;
+    }
+
+    const jsonFile = file.replace(/\.md$/, '.json');
+    if (!fs.existsSync(jsonFile)) {
+      throw new Error(`No JSON report next to ${file} (reports generated before JSON output cannot be compared)`);
+    }
+    return JSON.parse(fs.readFileSync(jsonFile, 'utf-8'));
+  }
+
+  /**
+   * Compare two reports (default: the two most recent), or sessions before and after a helper
+   * was added, and measure helper adoption and realized savings
+   *
+   * @param {Object} [options]
+   * @param {Array<string>} [options.reports] - Earlier and later report (path, --list number or timestamp)
+   * @param {string} [options.sinceHelper] - Helper name recorded by `ato apply`
+   */
+  async runCompare(options = {}) {
+    const helpers = loadHelpers(this.getHelpersFile());
+    let comparison;
+
+    if (options.sinceHelper) {
+      const helper = helpers.filter(h => h.name === options.sinceHelper).pop();
+      if (!helper) {
+        const names = helpers.map(h => h.name).join(', ') || 'none';
+        throw new Error(`Unknown helper: ${options.sinceHelper} (recorded by ato apply: ${names})`);
+      }
+      const report = this.generateJsonReport(await this.collectSequences());
+      comparison = compareSince(report, helper.addedAt, { helpers: [helper] });
+    } else {
+      const refs = options.reports || [];
+      if (refs.length > 2) throw new Error('ato compare takes at most two reports');
+      if (refs.length < 2 && this.listAllReports().length < 2 - refs.length) {
+        throw new Error('Not enough reports to compare: run ato again after new sessions, or use --since-helper=<name>');
+      }
+      const [earlier, later] = [this.loadReport(refs[0] || '2'), this.loadReport(refs[1] || '1')]
+        .sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+      comparison = compareReports(earlier, later, { helpers });
+    }
+
+    return this.format === 'json' ? JSON.stringify(comparison, null, 2) : this.formatComparison(comparison);
+  }
+
+  /**
+   * Format a report comparison: totals per session, helper adoption and patterns still seen
+   */
+  formatComparison(comparison) {
+    const formatRate = value => value.toFixed(2).replace(/\.?0+$/, '');
+    const formatTotals = totals => {
+      const perSession = value => Math.round(totals.sessions > 0 ? value / totals.sessions : 0);
+      const cost = totals.cost !== null && totals.sessions > 0 ? `, ${formatCost(totals.cost / totals.sessions)}/session` : '';
+      return `${totals.sessions} sessions, ${perSession(totals.toolCalls)} tool calls/session, ${perSession(totals.tokens)} tokens/session${cost}`;
+    };
+
+    let output = `## Comparison\n`;
+    output += comparison.since
+      ? `- Before ${comparison.since}: ${formatTotals(comparison.before)}\n- After: ${formatTotals(comparison.after)}\n\n`
+      : `- Report ${comparison.from}: ${formatTotals(comparison.before)}\n- New sessions by ${comparison.to}: ${formatTotals(comparison.after)}\n\n`;
+
+    if (comparison.after.sessions === 0) {
+      return output + 'No sessions after the comparison point yet.\n';
+    }
+
+    if (comparison.helpers.length > 0) {
+      output += `### Helpers\n`;
+      comparison.helpers.forEach(helper => {
+        const added = helper.addedAt ? `, added ${helper.addedAt.slice(0, 10)}` : '';
+        output += `- ${helper.name} (${helper.target}${added}): used ${helper.uses} times (${formatRate(helper.usesPerSession)}/session)`;
+        output += `, old ${helper.kind === 'quick-command' ? 'chain' : 'commands'} ${formatRate(helper.oldBeforePerSession)}/session → ${formatRate(helper.oldAfterPerSession)}/session`;
+        if (helper.realizedTokens !== null) {
+          output += `, ~${helper.realizedTokens} tokens saved (~${helper.oldTokens} → ~${helper.helperTokens} tokens per use)`;
+        }
+        output += '\n';
+      });
+      output += `- Total realized: ~${comparison.realizedTokens} tokens\n\n`;
+    } else {
+      output += 'No helpers recorded yet (`ato apply` records the helpers it writes).\n\n';
+    }
+
+    const patterns = comparison.patterns.slice(0, 10);
+    if (patterns.length > 0) {
+      output += `### Patterns From the Earlier Sessions (occurrences per session)\n`;
+      patterns.forEach(pattern => {
+        const label = pattern.steps.map(key => formatStepLabel(key)).join(' → ');
+        output += `- ${label}: ${formatRate(pattern.beforePerSession)} → ${formatRate(pattern.afterPerSession)}\n`;
+      });
+      output += '\n';
+    }
+
+    return output;
+  }
+
+  /**
+   * Browse sessions, timelines, expensive turns and pattern occurrences in the terminal
+   */
+  async runBrowse() {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      throw new Error('ato browse needs an interactive terminal (use --print or --format=json otherwise)');
+    }
+
+    const sequences = await this.collectSequences();
+    const browser = new SessionBrowser({
+      sequences,
+      patterns: this.detectPatterns(sequences),
+      costs: this.computeCosts(sequences),
+      pricing: this.getPricing(),
+      rleTools: this.getConfig().rleTools,
+      formatDuration: ms => this.formatSessionDuration(ms)
+    });
+    await browser.start();
+    return null;
+  }
 
-      if (allConversations.length === 0) {
-        throw new Error('No valid conversation data found');
+  /**
+   * Watch the project's conversations and print alerts while sessions are running
+   * (JSON lines with --format=json). Runs until Ctrl-C.
+   */
+  async runWatch() {
+    const dirs = this.findProjectDirs();
+    const watcher = await watchConversations(dirs, {
+      alerts: { minOccurrences: this.minOccurrences },
+      redact: createRedactor(this.getRedaction()),
+      config: this.getConfig(),
+      onAlert: alert => {
+        if (this.format === 'json') {
+          console.log(JSON.stringify(alert));
+          return;
+        }
+        const time = alert.timestamp ? new Date(alert.timestamp).toTimeString().slice(0, 8) : '';
+        console.log(`[${time}] ${alert.session.slice(0, 8)} ⚠️  ${alert.message}`);
+      },
+      onError: (error, file) => {
+        if (this.verbose) console.error(`${file}: ${error.message}`);
       }
+    });
 
-      if (allSequences.length === 0) {
-        const suggestion = allFiles.length > filesToProcess.length
-          ? `Try analyzing more conversations with --recent=${Math.min(allFiles.length, 50)} to find conversations with tool uses.`
-          : `All ${allConversations.length} conversation file(s) in this project have no tool uses. Try a different project or check if conversations have tool calls.`;
-        throw new Error(
-          `Found ${allConversations.length} conversation file(s) but none contain tool uses.\n` +
-          `This tool analyzes conversations that include tool calls (Read, Write, Edit, Bash, etc.).\n` +
-          suggestion
-        );
+    if (this.format === 'cli') {
+      console.error(`👀 Watching ${watcher.transcripts.size} conversations from today in ${dirs.length} director${dirs.length === 1 ? 'y' : 'ies'} (Ctrl-C to stop)`);
+    }
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    watcher.close();
+    return null;
+  }
+
+  /**
+   * Main run method
+   */
+  async run() {
+    try {
+      // Hook mode: local recommendations only, never launches Claude
+      if (this.format === 'hook') {
+        return await this.runHook();
       }
 
-      if (this.format === 'cli') {
-        const totalTime = Math.round((Date.now() - startTime) / 1000);
-        process.stderr.write(`\r` + ' '.repeat(120) + `\r`); // Clear progress line
-        if (!this.print) {
-          console.log(`✓ Analysis complete (${allSequences.length} conversations in ${totalTime}s)\n`);
+      // Check Claude CLI (skip if testing or emitting JSON/traces/HTML)
+      if (!this.skipClaudeAnalysis && !['json', 'otlp', 'html'].includes(this.format)) {
+        const hasClaudeCli = await this.checkClaudeCli();
+        if (!hasClaudeCli) {
+          throw new Error(
+            'Claude CLI not found. Please install Claude Code from https://claude.ai/claude-code'
+          );
         }
       }
 
-      const sequences = allSequences;
+      const sequences = await this.collectSequences();
 
-      // Generate analysis report
-      const report = this.generateAnalysisReport(sequences);
+      // Generate analysis report (Markdown for Claude, JSON for tooling)
+      const patterns = this.detectPatterns(sequences);
+      const report = this.generateAnalysisReport(sequences, patterns);
+      const jsonReport = this.generateJsonReport(sequences, patterns);
 
       // Save report to ~/.ato/projects/ following same structure as .claude
       const projectAtoDir = this.getProjectAtoDir();
@@ -781,6 +1594,30 @@ ${sharedInstructions}`;
         .replace(/\..+/, ''); // YYYY-MM-DD-HH-MM-SS
       const reportFile = path.join(projectAtoDir, `report-${timestamp}.md`);
       fs.writeFileSync(reportFile, report);
+      fs.writeFileSync(path.join(projectAtoDir, `report-${timestamp}.json`), JSON.stringify(jsonReport, null, 2));
+
+      // JSON mode: emit the structured report only
+      if (this.format === 'json') {
+        return JSON.stringify(jsonReport, null, 2);
+      }
+
+      // OTLP mode: write traces for Jaeger/Tempo (POST the file to an OTLP/HTTP /v1/traces endpoint)
+      if (this.format === 'otlp') {
+        const tracesFile = this.outputFile || path.join(projectAtoDir, `traces-${timestamp}.json`);
+        const traces = buildOtlpTraces(sequences, { costs: this.computeCosts(sequences) });
+        fs.writeFileSync(tracesFile, JSON.stringify(traces));
+        const spans = traces.resourceSpans[0].scopeSpans[0].spans.length;
+        return `✓ Wrote ${spans} spans from ${sequences.length} sessions to ${tracesFile}`;
+      }
+
+      // HTML mode: self-contained page with charts to share with people who won't read the Markdown
+      if (this.format === 'html') {
+        const htmlFile = this.outputFile || path.join(projectAtoDir, `report-${timestamp}.html`);
+        fs.writeFileSync(htmlFile, buildHtmlReport(jsonReport, {
+          formatDuration: ms => this.formatSessionDuration(ms)
+        }));
+        return `✓ Wrote HTML report of ${sequences.length} sessions to ${htmlFile}`;
+      }
 
       // Print mode: just output the report without calling Claude
       if (this.print) {
@@ -812,6 +1649,12 @@ ${sharedInstructions}`;
 if (require.main === module) {
   const args = process.argv.slice(2);
 
+  // Subcommand (ato apply ...) followed by the usual options
+  const command = ['apply', 'compare', 'browse', 'watch'].includes(args[0]) ? args.shift() : null;
+  // Positional arguments come before the options (ato compare <reportA> <reportB>)
+  const firstOption = args.findIndex(arg => arg.startsWith('-'));
+  const positional = args.slice(0, firstOption === -1 ? args.length : firstOption);
+
   // Show help
   if (args.includes('--help') || args.includes('-h')) {
     console.log(`
@@ -819,17 +1662,55 @@ Agent Trace Optimizer - Analyze Claude Code conversation history
 
 Usage:
   agent-trace-ops [options]
+  agent-trace-ops apply [options]   Write selected suggestions as Makefile targets, package.json/pyproject.toml scripts or scripts/*.sh
+  agent-trace-ops compare [<reportA> [<reportB>]] [options]
+                                    Measure helper adoption and realized savings between two reports (default: the two latest)
+  agent-trace-ops browse [options]  Browse sessions and timelines in the terminal (sort by cost, expensive turns, pattern occurrences)
+  agent-trace-ops watch [options]   Follow running sessions and print alerts (repeated chains, re-read large files, failing commands)
 
 Options:
   --help, -h                  Show this help message
   --list, -l                  List all available reports for current project
   --print, -p                 Output the analysis prompt without calling Claude
   --project-path=<path>       Path to project directory to analyze (defaults to current directory)
-  --format=<type>             Output format: 'cli' (default) or 'hook'
+  --all-projects              Analyze every project in ~/.claude/projects (reports in ~/.ato/global)
+  --projects=<glob>[,<glob>]  Analyze projects whose path matches a glob (e.g. '~/Code/*')
+  --format=<type>             Output format: 'cli' (default), 'json', 'otlp' (trace file), 'html' (shareable page) or 'hook'
+  --output=<file>             File for --format=otlp traces or --format=html (default: next to the report in ~/.ato/projects/<project>/)
+  --redact=<mode>             Secret/PII redaction before anything is saved or sent to Claude:
+                              'default' (API keys, tokens, AWS keys, URL passwords, emails, private keys),
+                              'strict' (also key=value secrets, long random strings, IP addresses) or 'off'
+  --redact-pattern=<regex>    Extra pattern to redact (repeatable; also read from ~/.ato/redact.json)
   --recent=<number>           Number of recent conversations to analyze (default: all)
+  --since=<date>              Only sessions active since a date (YYYY-MM-DD, ISO time, or relative: 12h, 7d, 2w)
+  --until=<date>              Only sessions active until a date (a plain date includes that whole day)
+  --session=<id>[,<id>]       Only these sessions (session id or file name, prefixes allowed)
+  --branch=<name>[,<name>]    Only sessions that ran on one of these git branches
+  --min-tool-calls=<number>   Only sessions with at least this many tool calls
   --concurrency=<number>      Number of worker threads for parallel analysis (default: auto)
   --agent=<name>              AI agent to use for analysis (default: claude, available: claude)
-  --verbose, -v               Enable verbose logging
+  --min-occurrences=<number>  Minimum repeats for a locally detected pattern (default: 3)
+  --tokenizer=<name|path>     Token counter: 'bpe' (default, bundled Claude tokenizer), 'estimate' (faster approximation), 'heuristic' (bytes/4) or a module exporting countTokens(text)
+  --pricing=<file>            Pricing table JSON merged over bundled prices and ~/.ato/pricing.json
+  --no-cache                  Re-process all conversations instead of reusing cached results
+  --time-budget=<ms>          Stop processing after this many milliseconds (default: none, 5000 for hook)
+  --verbose, -v               Enable verbose logging (also lists the config files read)
+
+Config files (.atorc.json or ato.config.js in ~/.ato/ and the project directory, project wins):
+  blocklistTools, rleTools    Tools hidden from timelines / consecutive calls grouped on one line
+  readSizeThreshold           Smallest Read shown, in bytes (default: 3000)
+  idleCutoffMs, maxGapMs      Gap counted as idle instead of thinking / longest gap shown (default: 60000, 3600000)
+  tools.include, .exclude     Tool names or globs to show despite the blocklist / to hide (e.g. mcp__slack__*)
+  formatters                  Tool name or glob -> module exporting format(tool, result) for the timeline text
+
+Apply options:
+  --target=<type>             'make', 'npm', 'pyproject' or 'script' (default: Makefile, package.json or pyproject.toml if present)
+  --select=<n>[,<n>]          Suggestions to apply, by number (default: ask)
+  --dry-run                   Only show the diff
+  --yes, -y                   Write without asking for confirmation
+
+Compare options:
+  --since-helper=<name>       Compare sessions before and after a helper written by ato apply was added
 
 Examples:
   # Analyze current directory (all conversations)
@@ -856,12 +1737,37 @@ Examples:
   # Analyze specific project and print prompt
   ato --project-path=~/my-project --print
 
+  # Org-level view across every repo under ~/Code (per-project subtotals, shared patterns)
+  ato --projects='~/Code/*' --print
+
+  # What the agent did last sprint on the release branch
+  ato --since=2w --branch=release --print
+
   # Set concurrency for faster processing (on high-core machines)
   ato --concurrency=8
 
-  # Hook format (for plugin integration)
+  # Structured JSON report (for dashboards and tests)
+  ato --format=json > report.json
+
+  # Sessions as OpenTelemetry traces, loaded into a local Jaeger/Tempo
+  ato --format=otlp --output=traces.json
+  curl -X POST -H 'Content-Type: application/json' --data-binary @traces.json http://localhost:4318/v1/traces
+
+  # Live alerts while a session is running (keep it open in a second terminal)
+  ato watch
+
+  # Self-contained HTML report with charts, to share with teammates
+  ato --format=html --output=report.html
+
+  # Hook format (for plugin integration; cached recommendations, 5s budget)
   ato --format=hook
 
+  # Turn suggestions 1 and 3 into package.json scripts (shows the diff, asks before writing)
+  ato apply --target=npm --select=1,3
+
+  # Is the helper used, and did the old multi-call chain go away?
+  ato compare --since-helper=git-status-diff-log
+
 Plugin Installation:
   /plugin marketplace add peerbot-ai/agent-trace-ops
   /plugin install agent-trace-ops
@@ -891,13 +1797,70 @@ For more info: https://github.com/peerbot-ai/agent-trace-ops
   const print = args.includes('--print') || args.includes('-p');
   const list = args.includes('--list') || args.includes('-l');
   const projectPath = getOption('--project-path');
+  const allProjects = args.includes('--all-projects');
   const recentStr = getOption('--recent');
   const recentLimit = recentStr ? parseInt(recentStr, 10) : undefined;
+  const listOption = (flag) => {
+    const value = getOption(flag);
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+  };
+  const since = getOption('--since');
+  const until = getOption('--until');
+  const sessions = listOption('--session');
+  const branches = listOption('--branch');
+  const minToolCallsStr = getOption('--min-tool-calls');
+  const minToolCalls = minToolCallsStr ? parseInt(minToolCallsStr, 10) : undefined;
+  const projects = listOption('--projects');
   const concurrencyStr = getOption('--concurrency');
   const concurrency = concurrencyStr ? parseInt(concurrencyStr, 10) : undefined;
   const agent = getOption('--agent');
-
-  const optimizer = new TokenOptimizer({ format, verbose, print, projectPath, recentLimit, concurrency, agent });
+  const tokenizer = getOption('--tokenizer');
+  const pricingFile = getOption('--pricing');
+  const outputFile = getOption('--output');
+  const redact = getOption('--redact');
+  // Repeatable, and regexes may contain '=' (everything after the first one is the pattern)
+  const redactPatterns = args
+    .filter(arg => arg.startsWith('--redact-pattern='))
+    .map(arg => arg.slice('--redact-pattern='.length));
+  const useCache = !args.includes('--no-cache');
+  const minOccurrencesStr = getOption('--min-occurrences');
+  const minOccurrences = minOccurrencesStr ? parseInt(minOccurrencesStr, 10) : undefined;
+  const timeBudgetStr = getOption('--time-budget');
+  // Hooks run at session start, so keep them fast by default
+  const timeBudget = timeBudgetStr ? parseInt(timeBudgetStr, 10) : (format === 'hook' ? 5000 : undefined);
+  const recentDefault = format === 'hook' ? 50 : undefined;
+
+  // Invalid options (e.g. an unparseable --since date) are reported like other errors
+  let optimizer;
+  try {
+    optimizer = new TokenOptimizer({
+      format,
+      verbose,
+      print,
+      projectPath,
+      allProjects,
+      projects,
+      recentLimit: recentLimit !== undefined ? recentLimit : recentDefault,
+      since,
+      until,
+      sessions,
+      branches,
+      minToolCalls,
+      concurrency,
+      agent,
+      minOccurrences,
+      timeBudget,
+      tokenizer,
+      pricingFile,
+      useCache,
+      outputFile,
+      redact,
+      redactPatterns
+    });
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
 
   // Handle --list flag
   if (list) {
@@ -930,12 +1893,29 @@ For more info: https://github.com/peerbot-ai/agent-trace-ops
     process.exit(0);
   }
 
-  optimizer.run()
+  let run;
+  if (command === 'apply') {
+    run = optimizer.runApply({
+      target: getOption('--target'),
+      select: listOption('--select')?.map(n => parseInt(n, 10)),
+      yes: args.includes('--yes') || args.includes('-y'),
+      dryRun: args.includes('--dry-run')
+    });
+  } else if (command === 'browse') {
+    run = optimizer.runBrowse();
+  } else if (command === 'watch') {
+    run = optimizer.runWatch();
+  } else if (command === 'compare') {
+    run = optimizer.runCompare({ reports: positional, sinceHelper: getOption('--since-helper') });
+  } else {
+    run = optimizer.run();
+  }
+
+  run
     .then(output => {
-      if (output) {
-        console.log(output);
-      }
-      process.exit(0);
+      if (!output) process.exit(0);
+      // Exit only once stdout is flushed (large reports are truncated when piped otherwise)
+      process.stdout.write(`${output}\n`, () => process.exit(0));
     })
     .catch(error => {
       console.error('Error:', error.message);
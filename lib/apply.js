@@ -0,0 +1,401 @@
+/**
+ * Turn suggestions into project artifacts (`ato apply`)
+ * Quick-command patterns become Makefile targets, package.json scripts or
+ * pyproject.toml tasks; command templates become scripts with argument parsing
+ * and --help. Changes are planned as before/after file contents so they can be
+ * shown as a diff before anything is written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCommandFamily } = require('./bash-failures');
+const { tokenizeShell } = require('./shell-templates');
+const { isRedacted } = require('./redact');
+
+const TARGETS = ['make', 'npm', 'pyproject', 'script'];
+const SCRIPT_DIRS = ['scripts', 'bin', 'tools'];
+
+/**
+ * Lowercase dash-separated name from words
+ */
+function slugify(words) {
+  return words
+    .map(word => path.basename(word))
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '') || 'helper';
+}
+
+/**
+ * Whether a template has a free <arg> (no common pattern) where the subcommand or verb goes,
+ * e.g. `git <arg>`: a script for it would only wrap the tool
+ */
+function wrapsVerb(template) {
+  const tokens = tokenizeShell(template.template);
+  return template.parameters.some(param => param.type === 'arg' && !param.pattern && param.distinct > 1 &&
+    (param.position === 1 || tokens[param.position - 2]?.type === 'op'));
+}
+
+/**
+ * Apply-able suggestions from a JSON report: Bash-only patterns and command templates
+ */
+function collectSuggestions(report) {
+  const suggestions = [];
+
+  for (const pattern of report.patterns || []) {
+    if (pattern.kind !== 'quick-command') continue;
+    const commands = pattern.steps.map(key => key.replace(/^Bash: /, ''));
+    if (commands.some(command => command.includes('\n'))) continue; // Heredocs do not chain into one line
+    if (commands.some(isRedacted)) continue; // A redacted secret would break the helper
+    const words = Array.from(new Set(commands.flatMap(command => getCommandFamily(command).split(' ')))).slice(0, 4);
+    suggestions.push({
+      kind: 'quick-command',
+      name: slugify(words),
+      description: `${commands.length} commands run together ${pattern.occurrences} times`,
+      commands,
+      steps: pattern.steps
+    });
+  }
+
+  for (const template of report.commandTemplates || []) {
+    if (isRedacted(template.template)) continue;
+    if (wrapsVerb(template)) continue;
+    suggestions.push({
+      kind: 'template',
+      name: slugify(getCommandFamily(template.template).split(' ')),
+      description: `run ${template.count} times with different arguments`,
+      template: template.template,
+      parameters: template.parameters
+    });
+  }
+
+  return suggestions;
+}
+
+/**
+ * Default target from the project's existing config (Makefile, package.json, pyproject.toml)
+ */
+function detectTarget(projectDir) {
+  if (fs.existsSync(path.join(projectDir, 'Makefile'))) return 'make';
+  if (fs.existsSync(path.join(projectDir, 'package.json'))) return 'npm';
+  if (fs.existsSync(path.join(projectDir, 'pyproject.toml'))) return 'pyproject';
+  return 'make';
+}
+
+/**
+ * Scripts directory: an existing scripts/, bin/ or tools/, else scripts/
+ */
+function detectScriptsDir(projectDir) {
+  return SCRIPT_DIRS.find(dir => fs.existsSync(path.join(projectDir, dir))) || 'scripts';
+}
+
+/**
+ * Quote a word for a POSIX shell when needed
+ */
+function shellQuote(word) {
+  return /^[\w@%+=:,./~-]+$/.test(word) ? word : `'${word.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Parameters of a template with shell variable names, defaults and whether they are required.
+ * A parameter seen with a single value defaults to it; only trailing defaults are optional.
+ */
+function describeParameters(parameters) {
+  const params = parameters.map(param => ({
+    ...param,
+    variable: param.name.toUpperCase(),
+    defaultValue: param.distinct === 1 ? param.values[0] : null
+  }));
+  let optional = true;
+  for (let i = params.length - 1; i >= 0; i--) {
+    optional = optional && params[i].defaultValue !== null;
+    params[i].required = !optional;
+  }
+  return params;
+}
+
+/**
+ * Render a template as shell code, substituting each <name> with a variable reference
+ */
+function renderTemplate(template, parameters, reference) {
+  const names = new Set(parameters.map(param => param.name));
+  return tokenizeShell(template)
+    .map(token => {
+      if (token.type === 'op') return token.value;
+      const parts = token.value.split(/<(\w+)>/);
+      if (parts.length === 1 || !parts.some((part, i) => i % 2 === 1 && names.has(part))) {
+        return shellQuote(token.value);
+      }
+      return '"' + parts
+        .map((part, i) => (i % 2 === 1 && names.has(part) ? reference(part.toUpperCase()) : part.replace(/(["\\$`])/g, '\\$1')))
+        .join('') + '"';
+    })
+    .join(' ');
+}
+
+/**
+ * Bash script with argument parsing and --help
+ */
+function renderScript(suggestion, scriptName) {
+  const params = suggestion.kind === 'template' ? describeParameters(suggestion.parameters) : [];
+  const required = params.filter(param => param.required);
+  const usage = [scriptName, ...params.map(param => (param.required ? param.variable : `[${param.variable}]`))].join(' ');
+  const command = suggestion.kind === 'template' ? suggestion.template : suggestion.commands.join(' && ');
+
+  let help = `Usage: ${usage}\n\n${command}\n(${suggestion.description})\n`;
+  if (params.length > 0) {
+    const width = Math.max(...params.map(param => param.variable.length));
+    help += '\nArguments:\n';
+    params.forEach(param => {
+      const info = param.defaultValue !== null ? `default: ${param.defaultValue}` : `e.g. ${param.values.slice(0, 3).join(', ')}`;
+      help += `  ${param.variable.padEnd(width)}  ${param.type}, ${info}\n`;
+    });
+    help += `\nExample:\n  ${[scriptName, ...params.map(param => shellQuote(param.values[0]))].join(' ')}\n`;
+  }
+
+  let script = '#!/usr/bin/env bash\n';
+  script += `# ${scriptName}: generated by ato apply\n`;
+  script += 'set -euo pipefail\n\n';
+  script += `usage() {\n  cat <<'EOF'\n${help}EOF\n}\n\n`;
+  script += 'if [[ "${1:-}" == "-h" || "${1:-}" == "--help" ]]; then\n  usage\n  exit 0\nfi\n';
+  if (required.length > 0) {
+    script += `if [[ $# -lt ${required.length} ]]; then\n  usage >&2\n  exit 1\nfi\n`;
+  }
+  script += '\n';
+
+  params.forEach((param, i) => {
+    const value = param.defaultValue !== null ? `\${${i + 1}:-${param.defaultValue.replace(/(["\\$`}])/g, '\\$1')}}` : `$${i + 1}`;
+    script += `${param.variable}="${value}"\n`;
+  });
+  if (params.length > 0) script += '\n';
+
+  if (suggestion.kind === 'template') {
+    script += `${renderTemplate(suggestion.template, params, variable => `\${${variable}}`)}\n`;
+  } else {
+    suggestion.commands.forEach(cmd => {
+      script += `${cmd}\n`;
+    });
+  }
+  return script;
+}
+
+/**
+ * Makefile target; template parameters become make variables (make docker-logs ARG=...)
+ */
+function renderMakeTarget(suggestion, name) {
+  const escape = text => text.replace(/\$/g, '$$$$');
+  let block = `.PHONY: ${name}\n`;
+
+  if (suggestion.kind === 'template') {
+    const params = describeParameters(suggestion.parameters);
+    params.filter(param => param.defaultValue !== null).forEach(param => {
+      block += `${param.variable} ?= ${escape(param.defaultValue)}\n`;
+    });
+    block += `${name}: ## ${suggestion.template}\n`;
+    params.filter(param => param.defaultValue === null).forEach(param => {
+      const usage = `usage: make ${name} ${param.variable}=<${param.type}> (e.g. ${param.values[0]})`;
+      block += `\t@test -n "$(${param.variable})" || { echo ${shellQuote(escape(usage))} >&2; exit 1; }\n`;
+    });
+    // Variable references are added after escaping the command's own $
+    const command = escape(renderTemplate(suggestion.template, params, variable => `\u0000${variable}\u0000`));
+    block += `\t${command.replace(/\u0000(\w+)\u0000/g, '$($1)')}\n`;
+  } else {
+    block += `${name}: ## ${suggestion.description}\n`;
+    block += `\t${escape(suggestion.commands.join(' && '))}\n`;
+  }
+
+  return block;
+}
+
+/**
+ * Line-oriented TOML string
+ */
+function tomlString(text) {
+  return JSON.stringify(text);
+}
+
+/**
+ * Plan the file changes for the selected suggestions.
+ * Returns { changes: [{ file, before, after, mode }] (before is null for new files),
+ * helpers: [{ name, kind, target, steps, template }] } with the names actually used.
+ *
+ * @param {Array} suggestions - Selected suggestions (from collectSuggestions)
+ * @param {Object} options
+ * @param {string} options.projectDir - Project root
+ * @param {string} [options.target] - 'make', 'npm', 'pyproject' or 'script' (default: detected)
+ */
+function planChanges(suggestions, options) {
+  const projectDir = options.projectDir;
+  const target = options.target || detectTarget(projectDir);
+  if (!TARGETS.includes(target)) {
+    throw new Error(`Unknown target: ${target}. Supported targets: ${TARGETS.join(', ')}`);
+  }
+
+  const scriptsDir = detectScriptsDir(projectDir);
+  const files = new Map();
+  const read = (relative) => {
+    if (!files.has(relative)) {
+      const absolute = path.join(projectDir, relative);
+      const before = fs.existsSync(absolute) ? fs.readFileSync(absolute, 'utf-8') : null;
+      files.set(relative, { file: relative, before, after: before, mode: null });
+    }
+    return files.get(relative);
+  };
+
+  // Names already taken by existing targets, scripts and files get a numeric suffix
+  const taken = new Set();
+  const uniqueName = (name, exists) => {
+    let candidate = name;
+    for (let i = 2; taken.has(candidate) || exists(candidate); i++) candidate = `${name}-${i}`;
+    taken.add(candidate);
+    return candidate;
+  };
+  const scriptExists = name => fs.existsSync(path.join(projectDir, scriptsDir, `${name}.sh`));
+  const helpers = [];
+  const addHelper = (suggestion, name, helperTarget) => helpers.push({
+    name,
+    kind: suggestion.kind,
+    target: helperTarget,
+    steps: suggestion.steps || null, // Action keys of the chain it replaces
+    template: suggestion.template || null // Or the command template
+  });
+
+  for (const suggestion of suggestions) {
+    // Templates take arguments: a script (wrapped by npm/pyproject, which pass arguments through) or make variables
+    if (target === 'script' || (suggestion.kind === 'template' && target !== 'make')) {
+      const name = uniqueName(suggestion.name, name => scriptExists(name) || hasEntry(read, target, name));
+      const script = read(path.join(scriptsDir, `${name}.sh`));
+      script.after = renderScript(suggestion, `${name}.sh`);
+      script.mode = 0o755;
+      if (target === 'npm') addNpmScript(read('package.json'), name, `bash ${scriptsDir}/${name}.sh`);
+      if (target === 'pyproject') addPyprojectTask(read('pyproject.toml'), name, `{ cmd = ${tomlString(`bash ${scriptsDir}/${name}.sh`)} }`);
+      addHelper(suggestion, name, target);
+      continue;
+    }
+
+    const name = uniqueName(suggestion.name, name => hasEntry(read, target, name));
+    addHelper(suggestion, name, target);
+    if (target === 'make') {
+      const makefile = read('Makefile');
+      const current = makefile.after || '';
+      makefile.after = `${current}${current && !current.endsWith('\n') ? '\n' : ''}${current ? '\n' : ''}${renderMakeTarget(suggestion, name)}`;
+    } else if (target === 'npm') {
+      addNpmScript(read('package.json'), name, suggestion.commands.join(' && '));
+    } else {
+      addPyprojectTask(read('pyproject.toml'), name, `{ shell = ${tomlString(suggestion.commands.join(' && '))} }`);
+    }
+  }
+
+  return {
+    changes: Array.from(files.values()).filter(change => change.after !== change.before),
+    helpers
+  };
+}
+
+/**
+ * Whether the target config already defines a name
+ */
+function hasEntry(read, target, name) {
+  if (target === 'make') {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped}:`, 'm').test(read('Makefile').after || '');
+  }
+  if (target === 'npm') {
+    const pkg = read('package.json').after;
+    return pkg ? Object.prototype.hasOwnProperty.call(JSON.parse(pkg).scripts || {}, name) : false;
+  }
+  if (target === 'pyproject') {
+    return new RegExp(`^${name.replace(/-/g, '\\-')}\\s*=`, 'm').test(read('pyproject.toml').after || '');
+  }
+  return false;
+}
+
+/**
+ * Add a package.json script, keeping the file's indentation
+ */
+function addNpmScript(change, name, command) {
+  if (change.after === null) throw new Error('No package.json in the project (use --target=make or --target=script)');
+  const indent = (change.after.match(/^([ \t]+)"/m) || [null, '  '])[1];
+  const pkg = JSON.parse(change.after);
+  pkg.scripts = { ...(pkg.scripts || {}), [name]: command };
+  change.after = JSON.stringify(pkg, null, indent) + (change.after.endsWith('\n') ? '\n' : '');
+}
+
+/**
+ * Add a pyproject.toml task to an existing [tool.pdm.scripts] or [tool.poe.tasks] table (poe by default)
+ */
+function addPyprojectTask(change, name, value) {
+  if (change.after === null) throw new Error('No pyproject.toml in the project (use --target=make or --target=script)');
+  const line = `${name} = ${value}\n`;
+  const lines = change.after.split('\n');
+  const header = lines.findIndex(l => /^\[tool\.(pdm\.scripts|poe\.tasks)\]\s*$/.test(l));
+
+  if (header === -1) {
+    const text = change.after.endsWith('\n') ? change.after : `${change.after}\n`;
+    change.after = `${text}\n[tool.poe.tasks]\n${line}`;
+    return;
+  }
+
+  // Insert after the table's last entry
+  let end = header + 1;
+  while (end < lines.length && !/^\s*\[/.test(lines[end])) end++;
+  while (end > header + 1 && lines[end - 1].trim() === '') end--;
+  lines.splice(end, 0, line.trimEnd());
+  change.after = lines.join('\n');
+}
+
+/**
+ * Unified diff of a planned change (single hunk around the changed lines)
+ */
+function formatDiff(change, context = 3) {
+  const toLines = text => (text === null || text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+  const before = toLines(change.before);
+  const after = toLines(change.after);
+
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++;
+
+  const start = Math.max(0, prefix - context);
+  const beforeEnd = Math.min(before.length, before.length - suffix + context);
+  const afterEnd = Math.min(after.length, after.length - suffix + context);
+
+  const lines = [
+    `--- ${change.before === null ? '/dev/null' : `a/${change.file}`}`,
+    `+++ b/${change.file}`,
+    `@@ -${before.length === 0 ? 0 : start + 1},${beforeEnd - start} +${start + 1},${afterEnd - start} @@`
+  ];
+  for (let i = start; i < prefix; i++) lines.push(` ${before[i]}`);
+  for (let i = prefix; i < before.length - suffix; i++) lines.push(`-${before[i]}`);
+  for (let i = prefix; i < after.length - suffix; i++) lines.push(`+${after[i]}`);
+  for (let i = before.length - suffix; i < beforeEnd; i++) lines.push(` ${before[i]}`);
+  return lines.join('\n');
+}
+
+/**
+ * Write planned changes to disk
+ */
+function writeChanges(changes, projectDir) {
+  for (const change of changes) {
+    const absolute = path.join(projectDir, change.file);
+    fs.mkdirSync(path.dirname(absolute), { recursive: true });
+    fs.writeFileSync(absolute, change.after);
+    if (change.mode) fs.chmodSync(absolute, change.mode);
+  }
+}
+
+module.exports = {
+  TARGETS,
+  collectSuggestions,
+  detectTarget,
+  planChanges,
+  formatDiff,
+  writeChanges
+};
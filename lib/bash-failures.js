@@ -0,0 +1,186 @@
+/**
+ * Bash failure and retry loop detection
+ * Groups attempts of the same command family (binary + subcommand) that fail
+ * and get re-run, with or without tweaks, until they succeed or the task moves on
+ */
+
+const path = require('path');
+
+// Wrappers skipped to find the command that actually runs
+const WRAPPERS = ['sudo', 'env', 'time', 'npx', 'bunx', 'pnpx', 'exec', 'nohup'];
+
+// Binaries whose first argument picks what runs (npm test vs npm install)
+const SUBCOMMAND_BINARIES = [
+  'npm', 'pnpm', 'yarn', 'bun', 'git', 'cargo', 'go', 'make', 'docker', 'kubectl',
+  'gradle', './gradlew', 'mvn', 'dotnet', 'poetry', 'uv', 'pip', 'python', 'python3', 'node', 'deno', 'gh'
+];
+
+/**
+ * Command family used to match retries: binary plus subcommand, ignoring flags,
+ * leading `cd dir &&`, env assignments and wrappers (e.g. "npm test", "pytest")
+ */
+function getCommandFamily(command) {
+  const segments = (command || '').split(/&&|\|\||;/).map(s => s.trim()).filter(Boolean);
+  const main = segments.find(s => !/^cd(\s|$)/.test(s)) || segments[0] || '';
+
+  const words = main.split(/\s+/).filter(Boolean);
+  while (words.length > 0 && (/^\w+=/.test(words[0]) || WRAPPERS.includes(words[0]))) {
+    words.shift();
+  }
+  if (words.length === 0) return '';
+
+  const binary = words[0].includes('/') && !words[0].startsWith('./') ? path.basename(words[0]) : words[0];
+  if (!SUBCOMMAND_BINARIES.includes(binary)) return binary;
+
+  // "npm run build" -> "npm run build", "git push -f" -> "git push"
+  const args = words.slice(1).filter(word => !word.startsWith('-'));
+  const count = args[0] === 'run' ? 2 : 1;
+  return [binary, ...args.slice(0, count)].join(' ');
+}
+
+/**
+ * Milliseconds between two ISO timestamps (0 if either is missing)
+ */
+function diffMs(start, end) {
+  if (!start || !end) return 0;
+  const diff = new Date(end).getTime() - new Date(start).getTime();
+  return Number.isFinite(diff) && diff > 0 ? diff : 0;
+}
+
+/**
+ * Tokens sent and received by the tool calls in steps[from..to]
+ */
+function sumStepTokens(steps, from, to) {
+  let tokens = 0;
+  for (let i = from; i <= to; i++) {
+    if (steps[i].type === 'tool') tokens += (steps[i].inputTokens || 0) + (steps[i].outputTokens || 0);
+  }
+  return tokens;
+}
+
+/**
+ * Find failure loops in one transcript: a failed command followed by more attempts of
+ * the same family (other tools in between, e.g. edits, belong to the loop).
+ * A user message ends any open loop.
+ */
+function findLoops(seq) {
+  const steps = seq.steps || [];
+  const loops = [];
+  const open = new Map(); // Family -> loop in progress
+
+  const close = (family) => {
+    const loop = open.get(family);
+    open.delete(family);
+    if (!loop || loop.attempts < 2) return;
+
+    const last = steps[loop.lastIndex];
+    loops.push({
+      session: path.basename(seq.file || 'unknown', '.jsonl'),
+      project: seq.project || seq.cwd || null,
+      family,
+      kind: loop.commands.size > 1 ? 'retry-variation' : 'fix-and-rerun',
+      attempts: loop.attempts,
+      failures: loop.failures,
+      resolved: loop.resolved,
+      commands: Array.from(loop.commands),
+      exitCodes: Array.from(loop.exitCodes),
+      tokens: sumStepTokens(steps, loop.firstIndex, loop.lastIndex),
+      durationMs: diffMs(steps[loop.firstIndex].timestamp, last.resultTimestamp || last.timestamp),
+      startTime: steps[loop.firstIndex].timestamp || null,
+      toolUseId: steps[loop.firstIndex].toolUseId
+    });
+  };
+
+  steps.forEach((step, index) => {
+    if (step.type === 'user') {
+      Array.from(open.keys()).forEach(close);
+      return;
+    }
+    if (step.type !== 'tool' || step.tool !== 'Bash') return;
+
+    const family = getCommandFamily(step.command);
+    if (!family) return;
+    const failed = (step.exitCode || 0) !== 0;
+    let loop = open.get(family);
+
+    // Loops start at a failure
+    if (!loop) {
+      if (!failed) return;
+      loop = { firstIndex: index, lastIndex: index, attempts: 0, failures: 0, resolved: false, commands: new Set(), exitCodes: new Set() };
+      open.set(family, loop);
+    }
+
+    loop.attempts++;
+    loop.lastIndex = index;
+    loop.commands.add(step.command.trim());
+    if (failed) {
+      loop.failures++;
+      loop.exitCodes.add(step.exitCode);
+    } else {
+      loop.resolved = true;
+      close(family);
+    }
+  });
+
+  Array.from(open.keys()).forEach(close);
+  return loops;
+}
+
+/**
+ * Detect failure loops and per-family failure rates across transcripts
+ */
+function detectBashFailures(transcripts) {
+  const loops = [];
+  const families = new Map();
+
+  for (const seq of transcripts) {
+    loops.push(...findLoops(seq));
+
+    const project = seq.project || seq.cwd || null;
+    for (const step of seq.steps || []) {
+      if (step.type !== 'tool' || step.tool !== 'Bash') continue;
+      const family = getCommandFamily(step.command);
+      if (!family) continue;
+
+      const key = `${project}\u0000${family}`;
+      const stats = families.get(key) || { family, project, runs: 0, failures: 0, lastCommand: null, lastExitCode: null };
+      stats.runs++;
+      if ((step.exitCode || 0) !== 0) stats.failures++;
+      stats.lastCommand = step.command;
+      stats.lastExitCode = step.exitCode || 0;
+      families.set(key, stats);
+    }
+  }
+
+  loops.sort((a, b) => b.tokens - a.tokens || b.attempts - a.attempts);
+
+  // Commands that never succeeded in a project point at a missing script, wrong doc or broken env
+  const alwaysFailing = Array.from(families.values())
+    .filter(stats => stats.runs >= 2 && stats.failures === stats.runs)
+    .sort((a, b) => b.runs - a.runs);
+
+  const byFamily = new Map();
+  for (const loop of loops) {
+    const stats = byFamily.get(loop.family) || { family: loop.family, loops: 0, attempts: 0, failures: 0, tokens: 0, durationMs: 0 };
+    stats.loops++;
+    stats.attempts += loop.attempts;
+    stats.failures += loop.failures;
+    stats.tokens += loop.tokens;
+    stats.durationMs += loop.durationMs;
+    byFamily.set(loop.family, stats);
+  }
+
+  return {
+    loops,
+    unresolved: loops.filter(loop => !loop.resolved).length,
+    tokens: loops.reduce((sum, loop) => sum + loop.tokens, 0),
+    durationMs: loops.reduce((sum, loop) => sum + loop.durationMs, 0),
+    byFamily: Array.from(byFamily.values()).sort((a, b) => b.tokens - a.tokens),
+    alwaysFailing
+  };
+}
+
+module.exports = {
+  getCommandFamily,
+  detectBashFailures
+};
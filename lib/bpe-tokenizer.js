@@ -0,0 +1,123 @@
+/**
+ * Byte-pair encoding token counts with a bundled vocabulary
+ * claude-tokenizer.json is the Claude tokenizer published by Anthropic (@anthropic-ai/tokenizer,
+ * see claude-tokenizer.LICENSE). Newer Claude models use a tokenizer that is not published,
+ * so their counts differ somewhat; the vocabulary still splits code, identifiers and
+ * non-ASCII text the way a real tokenizer does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VOCABULARY_FILE = path.join(__dirname, 'claude-tokenizer.json');
+const MAX_PIECE_BYTES = 1024; // Longer pieces (e.g. minified or base64 blobs) are encoded in chunks, as merging is quadratic
+const PIECE_CACHE_SIZE = 50000;
+
+let vocabulary = null;
+let loadError = null;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the vocabulary once: merge ranks keyed by token bytes (as a latin1 string),
+ * the pre-tokenizer pattern and the special tokens
+ */
+function loadVocabulary() {
+  if (vocabulary) return vocabulary;
+  if (loadError) throw loadError;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(VOCABULARY_FILE, 'utf-8'));
+    // Ranks are stored compressed: "! <first rank> <base64 token> <base64 token> ..." with consecutive ranks
+    const ranks = new Map();
+    for (const line of data.bpe_ranks.split('\n')) {
+      const [, offset, ...tokens] = line.split(' ');
+      if (!offset) continue;
+      const first = parseInt(offset, 10);
+      tokens.forEach((token, i) => ranks.set(Buffer.from(token, 'base64').toString('latin1'), first + i));
+    }
+    vocabulary = {
+      ranks,
+      pattern: new RegExp(data.pat_str, 'gu'),
+      special: new RegExp(Object.keys(data.special_tokens).map(escapeRegExp).join('|'), 'g'),
+      pieces: new Map() // Piece -> token count, as most pieces repeat
+    };
+    return vocabulary;
+  } catch (error) {
+    loadError = new Error(`Cannot load tokenizer vocabulary ${VOCABULARY_FILE}: ${error.message}`);
+    throw loadError;
+  }
+}
+
+/**
+ * Tokens for the bytes of one piece: merge the adjacent pair with the lowest rank
+ * until no pair is in the vocabulary
+ */
+function mergeCount(bytes, ranks) {
+  if (ranks.has(bytes)) return 1;
+
+  const starts = [];
+  for (let i = 0; i <= bytes.length; i++) starts.push(i);
+  const pairRank = i => (i + 2 < starts.length ? ranks.get(bytes.slice(starts[i], starts[i + 2])) : undefined);
+  const pairRanks = starts.slice(0, -2).map((_, i) => pairRank(i));
+
+  for (;;) {
+    let best = -1;
+    for (let i = 0; i < pairRanks.length; i++) {
+      if (pairRanks[i] !== undefined && (best === -1 || pairRanks[i] < pairRanks[best])) best = i;
+    }
+    if (best === -1) break;
+
+    starts.splice(best + 1, 1);
+    pairRanks.splice(best, 1);
+    if (best < pairRanks.length) pairRanks[best] = pairRank(best);
+    if (best > 0) pairRanks[best - 1] = pairRank(best - 1);
+  }
+  return starts.length - 1;
+}
+
+/**
+ * Tokens for one pre-tokenized piece
+ */
+function countPieceTokens(piece, vocab) {
+  const cached = vocab.pieces.get(piece);
+  if (cached !== undefined) return cached;
+
+  const bytes = Buffer.from(piece, 'utf-8').toString('latin1');
+  let tokens = 0;
+  for (let i = 0; i < bytes.length; i += MAX_PIECE_BYTES) {
+    tokens += mergeCount(bytes.slice(i, i + MAX_PIECE_BYTES), vocab.ranks);
+  }
+
+  if (vocab.pieces.size >= PIECE_CACHE_SIZE) vocab.pieces.clear();
+  vocab.pieces.set(piece, tokens);
+  return tokens;
+}
+
+function countOrdinaryTokens(text, vocab) {
+  let tokens = 0;
+  for (const match of text.matchAll(vocab.pattern)) {
+    tokens += countPieceTokens(match[0], vocab);
+  }
+  return tokens;
+}
+
+/**
+ * Count tokens of text (NFKC-normalized; special tokens such as <EOT> count as one)
+ */
+function countTokens(text) {
+  const vocab = loadVocabulary();
+  const normalized = String(text || '').normalize('NFKC');
+
+  let tokens = 0;
+  let last = 0;
+  for (const match of normalized.matchAll(vocab.special)) {
+    tokens += countOrdinaryTokens(normalized.slice(last, match.index), vocab) + 1;
+    last = match.index + match[0].length;
+  }
+  return tokens + countOrdinaryTokens(normalized.slice(last), vocab);
+}
+
+module.exports = {
+  countTokens
+};
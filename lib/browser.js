@@ -0,0 +1,443 @@
+/**
+ * Interactive terminal browser for sessions and timelines (`ato browse`)
+ * Plain ANSI escapes and readline keypress events, no TUI dependency.
+ * Views are kept on a stack: sessions → timeline → step details, turns or patterns.
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { sumUsage } = require('./json-report');
+const { getSessionMessages, flattenSequences } = require('./subagents');
+const { priceUsage, formatCost } = require('./costs');
+const { formatStepLabel } = require('./pattern-miner');
+const { DEFAULT_CONFIG } = require('./config');
+
+const FILE_TOOLS = ['Read', 'Write', 'Edit', 'MultiEdit']; // Numbered by the worker when their line is written
+const SESSION_SORTS = ['newest', 'cost', 'tokens', 'duration', 'tool calls'];
+
+const ESC = '\x1b[';
+const INVERSE = `${ESC}7m`;
+const DIM = `${ESC}2m`;
+const BOLD = `${ESC}1m`;
+const RESET = `${ESC}0m`;
+
+/**
+ * Timeline line number of each tool step. Numbered steps carry it; Read/Write/Edit runs
+ * are merged into one line per run of the same tool (if grouped by config.rleTools),
+ * right after the previous line.
+ */
+function assignLineNumbers(steps, rleTools = DEFAULT_CONFIG.rleTools) {
+  const numbers = new Map();
+  let current = 0;
+  let run = null; // Tool of the RLE run in progress
+
+  steps.forEach((step, index) => {
+    if (step.type !== 'tool') {
+      run = null;
+      return;
+    }
+    if (step.actionNumber) {
+      current = step.actionNumber;
+      run = null;
+    } else if (FILE_TOOLS.includes(step.tool) && !step.hidden) {
+      if (run !== step.tool || !rleTools.includes(step.tool)) current++;
+      run = step.tool;
+    } else {
+      return;
+    }
+    numbers.set(index, current);
+  });
+
+  return numbers;
+}
+
+/**
+ * Timeline lines of a session with nested subagent lines, each tagged with its transcript
+ */
+function buildTimelineLines(seq, indent = '') {
+  const subagents = new Map((seq.subagents || []).map(sub => [sub.parentActionNumber, sub]));
+  const lines = [];
+
+  for (const text of seq.timeline.split('\n')) {
+    const match = text.match(/^(\d+)\. /);
+    const number = match ? parseInt(match[1], 10) : null;
+    lines.push({ text: `${indent}${text}`, seq, number });
+
+    const sub = number !== null && /^\d+\. Task:/.test(text) ? subagents.get(number) : null;
+    if (!sub) continue;
+    const toolCalls = (sub.steps || []).filter(step => step.type === 'tool').length;
+    lines.push({ text: `${indent}   ↳ Subagent ${path.basename(sub.file || 'unknown', '.jsonl')} (${toolCalls} tool calls):`, seq: sub, number: null });
+    lines.push(...buildTimelineLines(sub, `${indent}     `));
+  }
+
+  return lines;
+}
+
+/**
+ * Full-screen session browser
+ */
+class SessionBrowser {
+  /**
+   * @param {Object} options
+   * @param {Array} options.sequences - Processed sessions (subagents stitched)
+   * @param {Array} [options.patterns] - Detected patterns (toolUseIds of each occurrence)
+   * @param {Object} [options.costs] - computeCosts() result
+   * @param {Object} [options.pricing] - Pricing table, to price individual turns
+   * @param {Function} [options.formatDuration] - ms → display string
+   * @param {Array} [options.rleTools] - Tools the worker grouped into one line (config.rleTools)
+   * @param {Object} [options.input] - Input stream (default: process.stdin)
+   * @param {Object} [options.output] - Output stream (default: process.stdout)
+   */
+  constructor(options) {
+    this.patterns = options.patterns || [];
+    this.pricing = options.pricing || null;
+    this.rleTools = options.rleTools || DEFAULT_CONFIG.rleTools;
+    this.formatDuration = options.formatDuration || (ms => `${Math.round(ms / 1000)}s`);
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+
+    const sessionCosts = new Map((options.costs?.bySession || []).map(s => [s.file, s.cost]));
+    this.sessions = options.sequences.map(seq => {
+      const start = seq.startTime ? new Date(seq.startTime).getTime() : 0;
+      const end = seq.endTime ? new Date(seq.endTime).getTime() : start;
+      const usage = sumUsage(getSessionMessages(seq));
+      return {
+        seq,
+        id: path.basename(seq.file || 'unknown', '.jsonl'),
+        start,
+        durationMs: Math.max(0, end - start),
+        tokens: Object.values(usage).reduce((a, b) => a + b, 0),
+        cost: sessionCosts.get(seq.file) || 0,
+        toolCalls: flattenSequences([seq]).reduce((sum, s) => sum + (s.steps || []).filter(step => step.type === 'tool').length, 0)
+      };
+    });
+
+    // Where each tool call lives, to jump to pattern occurrences
+    this.toolUses = new Map();
+    for (const session of this.sessions) {
+      for (const seq of flattenSequences([session.seq])) {
+        (seq.steps || []).forEach((step, index) => {
+          if (step.toolUseId) this.toolUses.set(step.toolUseId, { session, seq, index });
+        });
+      }
+    }
+
+    this.sortIndex = 0;
+    this.sortSessions();
+    this.views = [{ type: 'sessions', cursor: 0, offset: 0 }];
+    this.pattern = null; // { index, occurrence } while jumping between occurrences
+    this.message = '';
+  }
+
+  sortSessions() {
+    const key = SESSION_SORTS[this.sortIndex];
+    const value = {
+      newest: s => s.start,
+      cost: s => s.cost,
+      tokens: s => s.tokens,
+      duration: s => s.durationMs,
+      'tool calls': s => s.toolCalls
+    }[key];
+    this.sessions.sort((a, b) => value(b) - value(a));
+  }
+
+  get view() {
+    return this.views[this.views.length - 1];
+  }
+
+  /**
+   * Run until the user quits
+   */
+  start() {
+    if (!this.input.isTTY || !this.output.isTTY) {
+      return Promise.reject(new Error('ato browse needs an interactive terminal'));
+    }
+
+    return new Promise(resolve => {
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.resume();
+      this.output.write(`${ESC}?1049h${ESC}?25l`); // Alternate screen, hide cursor
+
+      const onResize = () => this.render();
+      const onKey = (str, key = {}) => {
+        if (key.ctrl && key.name === 'c') return quit();
+        if (key.name === 'q' && this.view.type === 'sessions') return quit();
+        this.message = '';
+        this.handleKey(str, key);
+        this.render();
+      };
+      const quit = () => {
+        this.input.removeListener('keypress', onKey);
+        this.output.removeListener('resize', onResize);
+        this.input.setRawMode(false);
+        this.input.pause();
+        this.output.write(`${ESC}?25h${ESC}?1049l`);
+        resolve();
+      };
+
+      this.input.on('keypress', onKey);
+      this.output.on('resize', onResize);
+      this.render();
+    });
+  }
+
+  /**
+   * Rows of the current view: [{ text, action }] where action runs on Enter
+   */
+  getRows(view) {
+    if (view.type === 'sessions') {
+      return this.sessions.map(session => ({
+        text: [
+          session.start ? new Date(session.start).toISOString().slice(0, 16).replace('T', ' ') : '—'.padEnd(16),
+          session.id.slice(0, 8).padEnd(8),
+          this.formatDuration(session.durationMs).padStart(9),
+          `${session.toolCalls} calls`.padStart(10),
+          `${session.tokens.toLocaleString()}t`.padStart(13),
+          formatCost(session.cost).padStart(8)
+        ].join('  '),
+        action: () => this.openTimeline(session)
+      }));
+    }
+
+    if (view.type === 'timeline') {
+      return view.lines.map((line, index) => ({ text: line.text, action: () => this.openDetails(view, index) }));
+    }
+
+    if (view.type === 'turns') {
+      return view.turns.map(turn => ({
+        text: [
+          (turn.timestamp || '').slice(11, 19).padEnd(8),
+          formatCost(turn.cost).padStart(8),
+          `in=${turn.usage.input_tokens || 0}t out=${turn.usage.output_tokens || 0}t cache_w=${turn.usage.cache_creation_input_tokens || 0}t cache_r=${turn.usage.cache_read_input_tokens || 0}t`,
+          turn.tools.length > 0 ? turn.tools.join(', ') : (turn.hasThinking ? 'thinking' : 'text')
+        ].join('  '),
+        action: () => this.jumpToMessage(view.timeline, turn)
+      }));
+    }
+
+    if (view.type === 'patterns') {
+      return this.patterns.map((pattern, index) => ({
+        text: `${pattern.kind.padEnd(13)} ${String(pattern.occurrences).padStart(3)}×  ${pattern.steps.map(key => formatStepLabel(key)).join(' → ')}`,
+        action: () => this.jumpToOccurrence(index, 0)
+      }));
+    }
+
+    return view.lines.map(text => ({ text, action: null })); // Details
+  }
+
+  openTimeline(session) {
+    const lines = buildTimelineLines(session.seq);
+    const numbers = new Map(flattenSequences([session.seq]).map(seq => [seq, assignLineNumbers(seq.steps || [], this.rleTools)]));
+    this.views.push({ type: 'timeline', session, lines, numbers, cursor: 0, offset: 0 });
+    return this.view;
+  }
+
+  /**
+   * Timeline line index of a step (the line its run was merged into for Read/Write/Edit)
+   */
+  findStepLine(timeline, seq, index) {
+    const number = timeline.numbers.get(seq)?.get(index);
+    if (number === undefined) return -1;
+    return timeline.lines.findIndex(line => line.seq === seq && line.number === number);
+  }
+
+  /**
+   * Full details of the step(s) on a timeline line, including complete (heredoc) commands
+   */
+  openDetails(timeline, lineIndex) {
+    const line = timeline.lines[lineIndex];
+    if (line.number === null) return;
+    const numbers = timeline.numbers.get(line.seq);
+    const steps = (line.seq.steps || []).filter((step, index) => numbers.get(index) === line.number);
+    if (steps.length === 0) return;
+
+    const lines = [];
+    for (const step of steps) {
+      lines.push(`${BOLD}${step.tool}${RESET} ${step.toolUseId}`);
+      lines.push(`  time:    ${step.timestamp || '—'}${step.resultTimestamp ? ` → ${step.resultTimestamp}` : ''}`);
+      lines.push(`  input:   ${step.inputBytes || 0}b/~${step.inputTokens || 0}t   output: ${step.outputBytes || 0}b/~${step.outputTokens || 0}t`);
+      if (step.file) lines.push(`  file:    ${step.file}${step.range ? ` [${step.range}]` : ''}`);
+      if (step.exitCode) lines.push(`  exit:    ${step.exitCode}`);
+      if (step.command) {
+        lines.push('  command:');
+        step.command.split('\n').forEach(commandLine => lines.push(`    ${commandLine}`));
+      }
+      lines.push('');
+    }
+    this.views.push({ type: 'details', lines, cursor: 0, offset: 0 });
+  }
+
+  /**
+   * Turns of the session (and its subagents), most expensive first
+   */
+  openTurns(timeline) {
+    const turns = getSessionMessages(timeline.session.seq).map(message => ({
+      ...message,
+      usage: message.usage || {},
+      tools: message.tools || [],
+      cost: (this.pricing && priceUsage(this.pricing, message.model, message.usage)?.total) || 0
+    }));
+    const tokens = turn => Object.values(turn.usage).reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0);
+    turns.sort((a, b) => b.cost - a.cost || tokens(b) - tokens(a));
+    this.views.push({ type: 'turns', timeline, turns, cursor: 0, offset: 0 });
+  }
+
+  /**
+   * Back to the timeline at the first line produced by a turn
+   */
+  jumpToMessage(timeline, turn) {
+    for (const seq of flattenSequences([timeline.session.seq])) {
+      const steps = seq.steps || [];
+      const first = steps.findIndex(step => step.messageId === turn.id);
+      if (first === -1) continue;
+      // Text or thinking-only turns: the next call on the timeline
+      for (let i = first; i < steps.length; i++) {
+        const line = this.findStepLine(timeline, seq, i);
+        if (line === -1) continue;
+        this.views.pop();
+        this.moveTo(timeline, line);
+        return;
+      }
+    }
+    this.message = 'This turn has no line on the timeline';
+  }
+
+  /**
+   * Open the session of a pattern occurrence at its first call
+   */
+  jumpToOccurrence(patternIndex, occurrence) {
+    const pattern = this.patterns[patternIndex];
+    const count = pattern.toolUseIds.length;
+    const next = ((occurrence % count) + count) % count;
+    const location = this.toolUses.get(pattern.toolUseIds[next]);
+    if (!location) {
+      this.message = 'Occurrence not found in the loaded sessions';
+      return;
+    }
+
+    this.views = this.views.filter(view => view.type === 'sessions' || view.type === 'patterns');
+    const timeline = this.openTimeline(location.session);
+    this.moveTo(timeline, Math.max(0, this.findStepLine(timeline, location.seq, location.index)));
+    this.pattern = { index: patternIndex, occurrence: next };
+    this.message = `Pattern ${patternIndex + 1}: occurrence ${next + 1}/${count} (n/N for next/previous)`;
+  }
+
+  moveTo(view, index) {
+    const rows = this.getRows(view).length;
+    view.cursor = Math.max(0, Math.min(rows - 1, index));
+    const height = this.getHeight();
+    if (view.cursor < view.offset || view.cursor >= view.offset + height) {
+      view.offset = Math.max(0, view.cursor - Math.floor(height / 3));
+    }
+  }
+
+  getHeight() {
+    return Math.max(1, (this.output.rows || 24) - 3); // Header, blank and footer lines
+  }
+
+  /**
+   * Handle a key press (quitting is handled by start())
+   */
+  handleKey(str, key) {
+    const view = this.view;
+    const height = this.getHeight();
+    const name = key.name || str;
+
+    if (name === 'up' || name === 'k') return this.moveTo(view, view.cursor - 1);
+    if (name === 'down' || name === 'j') return this.moveTo(view, view.cursor + 1);
+    if (name === 'pageup') return this.moveTo(view, view.cursor - height);
+    if (name === 'pagedown' || name === 'space') return this.moveTo(view, view.cursor + height);
+    if (name === 'home' || str === 'g') return this.moveTo(view, 0);
+    if (name === 'end' || str === 'G') return this.moveTo(view, Infinity);
+    if (name === 'escape' || name === 'backspace' || name === 'left' || name === 'q') {
+      if (this.views.length > 1) this.views.pop();
+      return undefined;
+    }
+    if (name === 'return' || name === 'enter' || name === 'right') {
+      const row = this.getRows(view)[view.cursor];
+      if (row?.action) row.action();
+      return undefined;
+    }
+
+    if (view.type === 'sessions' && str === 's') {
+      this.sortIndex = (this.sortIndex + 1) % SESSION_SORTS.length;
+      this.sortSessions();
+      return this.moveTo(view, 0);
+    }
+    if (str === 'p' && view.type !== 'patterns') {
+      if (this.patterns.length === 0) {
+        this.message = 'No patterns detected';
+        return undefined;
+      }
+      this.views.push({ type: 'patterns', cursor: this.pattern ? this.pattern.index : 0, offset: 0 });
+      return this.moveTo(this.view, this.view.cursor);
+    }
+    if (view.type === 'timeline' && str === 't') return this.openTurns(view);
+    if (view.type === 'timeline' && (str === 'n' || str === 'N') && this.pattern) {
+      return this.jumpToOccurrence(this.pattern.index, this.pattern.occurrence + (str === 'n' ? 1 : -1));
+    }
+    return undefined;
+  }
+
+  getTitle(view) {
+    if (view.type === 'sessions') {
+      return `${this.sessions.length} sessions, sorted by ${SESSION_SORTS[this.sortIndex]}`;
+    }
+    if (view.type === 'timeline') {
+      const s = view.session;
+      return `Session ${s.id} (${this.formatDuration(s.durationMs)}, ${s.toolCalls} tool calls, ${s.tokens.toLocaleString()} tokens, ${formatCost(s.cost)})`;
+    }
+    if (view.type === 'turns') return `Turns of ${view.timeline.session.id}, most expensive first`;
+    if (view.type === 'patterns') return `${this.patterns.length} detected patterns`;
+    return 'Details';
+  }
+
+  getHints(view) {
+    const back = this.views.length > 1 ? '  esc back' : '  q quit';
+    if (view.type === 'sessions') return `↑↓ move  enter open  s sort  p patterns${back}`;
+    if (view.type === 'timeline') return `↑↓ move  enter details  t turns  p patterns${this.pattern ? '  n/N occurrence' : ''}${back}`;
+    if (view.type === 'turns') return `↑↓ move  enter jump to timeline${back}`;
+    if (view.type === 'patterns') return `↑↓ move  enter first occurrence${back}`;
+    return `↑↓ scroll${back}`;
+  }
+
+  render() {
+    const view = this.view;
+    const width = this.output.columns || 80;
+    const height = this.getHeight();
+    const rows = this.getRows(view);
+    const clip = text => {
+      // Clip by visible characters (escape sequences take no columns)
+      let visible = 0;
+      let out = '';
+      for (const part of text.split(/(\x1b\[[0-9;?]*[a-zA-Z])/)) {
+        if (part.startsWith('\x1b[')) {
+          out += part;
+          continue;
+        }
+        const room = width - visible;
+        out += part.slice(0, Math.max(0, room));
+        visible += Math.min(part.length, Math.max(0, room));
+      }
+      return out;
+    };
+
+    let screen = `${ESC}H${ESC}2J${BOLD}${clip(this.getTitle(view))}${RESET}\n\n`;
+    rows.slice(view.offset, view.offset + height).forEach((row, i) => {
+      const text = clip(row.text.replace(/\t/g, '  '));
+      screen += view.offset + i === view.cursor && view.type !== 'details'
+        ? `${INVERSE}${text.padEnd(width)}${RESET}\n`
+        : `${text}\n`;
+    });
+    for (let i = rows.slice(view.offset, view.offset + height).length; i < height; i++) screen += '\n';
+    screen += `${DIM}${clip(this.message || this.getHints(view))}${RESET}`;
+    this.output.write(screen);
+  }
+}
+
+module.exports = {
+  SessionBrowser,
+  assignLineNumbers,
+  buildTimelineLines
+};
@@ -0,0 +1,176 @@
+/**
+ * Prompt-cache efficiency analysis
+ * Tracks cache hit ratio per session and flags cache busts (large cache writes
+ * that re-send context which should have been a cheap cache read)
+ */
+
+const path = require('path');
+const { getModelPricing } = require('./costs');
+
+const IDLE_GAP_MS = 5 * 60 * 1000; // Default prompt cache TTL
+const WINDOW_MS = 10 * 60 * 1000; // Hit ratio series resolution
+const BUST_MIN_TOKENS = 5000;
+const BUST_MIN_FRACTION = 0.5; // Of the previous message's context
+
+/**
+ * Context tokens sent with a message (uncached + cache write + cache read)
+ */
+function getContextTokens(usage) {
+  return (usage?.input_tokens || 0) +
+    (usage?.cache_creation_input_tokens || 0) +
+    (usage?.cache_read_input_tokens || 0);
+}
+
+/**
+ * Share of context served from the cache
+ */
+function getHitRatio(cacheRead, context) {
+  return context > 0 ? cacheRead / context : null;
+}
+
+/**
+ * Explain why the cache was rebuilt before a message
+ */
+function getBustCause(prev, message, steps) {
+  const gapMs = new Date(message.timestamp).getTime() - new Date(prev.timestamp).getTime();
+  if (gapMs > IDLE_GAP_MS) return 'idle';
+  if (prev.model !== message.model) return 'model-switch';
+
+  // Edits made between the two messages (issued by the previous message or later)
+  const edits = steps.filter(step =>
+    step.type === 'tool' &&
+    ['Edit', 'Write', 'MultiEdit'].includes(step.tool) &&
+    step.timestamp >= prev.timestamp &&
+    step.timestamp < message.timestamp
+  );
+  if (edits.some(step => /(^|\/)CLAUDE(\.local)?\.md$/.test(step.file || ''))) return 'claude-md-edit';
+  if (edits.length > 0) return 'file-edit';
+  return 'unknown';
+}
+
+/**
+ * Extra cost of re-writing tokens to the cache instead of reading them
+ */
+function getBustCost(table, model, tokens) {
+  const prices = table ? getModelPricing(table, model) : null;
+  if (!prices) return 0;
+  return tokens * ((prices.cache_write || 0) - (prices.cache_read || 0)) / 1e6;
+}
+
+/**
+ * Analyze one session's messages
+ */
+function analyzeSession(seq, table) {
+  const messages = (seq.messages || [])
+    .filter(m => m.timestamp && m.usage && m.model !== '<synthetic>')
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  const windows = [];
+  const busts = [];
+  let cacheRead = 0;
+  let context = 0;
+
+  messages.forEach((message, index) => {
+    const usage = message.usage;
+    const messageContext = getContextTokens(usage);
+    cacheRead += usage.cache_read_input_tokens || 0;
+    context += messageContext;
+
+    // Hit ratio series in fixed windows from session start
+    const windowIndex = Math.floor(
+      (new Date(message.timestamp).getTime() - new Date(messages[0].timestamp).getTime()) / WINDOW_MS
+    );
+    let window = windows[windows.length - 1];
+    if (!window || window.index !== windowIndex) {
+      window = { index: windowIndex, start: message.timestamp, cacheRead: 0, context: 0, messages: 0 };
+      windows.push(window);
+    }
+    window.cacheRead += usage.cache_read_input_tokens || 0;
+    window.context += messageContext;
+    window.messages++;
+
+    // The first message always builds the cache
+    if (index === 0) return;
+
+    const prev = messages[index - 1];
+    const written = usage.cache_creation_input_tokens || 0;
+    const prevContext = getContextTokens(prev.usage);
+    if (written < BUST_MIN_TOKENS || written < prevContext * BUST_MIN_FRACTION) return;
+
+    busts.push({
+      timestamp: message.timestamp,
+      messageId: message.id,
+      model: message.model,
+      tokens: written,
+      gapMs: new Date(message.timestamp).getTime() - new Date(prev.timestamp).getTime(),
+      cause: getBustCause(prev, message, seq.steps || []),
+      extraCost: getBustCost(table, message.model, written)
+    });
+  });
+
+  return {
+    id: path.basename(seq.file || 'unknown', '.jsonl'),
+    file: seq.file,
+    messages: messages.length,
+    hitRatio: getHitRatio(cacheRead, context),
+    series: windows.map(w => ({
+      start: w.start,
+      messages: w.messages,
+      hitRatio: getHitRatio(w.cacheRead, w.context)
+    })),
+    busts,
+    bustTokens: busts.reduce((sum, b) => sum + b.tokens, 0),
+    bustCost: busts.reduce((sum, b) => sum + b.extraCost, 0)
+  };
+}
+
+/**
+ * Analyze prompt-cache efficiency across sessions
+ */
+function analyzeCache(sequences, table) {
+  const sessions = sequences.map(seq => analyzeSession(seq, table));
+
+  let cacheRead = 0;
+  let context = 0;
+  const byCause = {};
+  for (const seq of sequences) {
+    for (const message of seq.messages || []) {
+      cacheRead += message.usage?.cache_read_input_tokens || 0;
+      context += getContextTokens(message.usage);
+    }
+  }
+  for (const session of sessions) {
+    for (const bust of session.busts) {
+      const cause = byCause[bust.cause] || { count: 0, tokens: 0, extraCost: 0 };
+      cause.count++;
+      cause.tokens += bust.tokens;
+      cause.extraCost += bust.extraCost;
+      byCause[bust.cause] = cause;
+    }
+  }
+
+  return {
+    hitRatio: getHitRatio(cacheRead, context),
+    busts: sessions.reduce((sum, s) => sum + s.busts.length, 0),
+    bustTokens: sessions.reduce((sum, s) => sum + s.bustTokens, 0),
+    bustCost: sessions.reduce((sum, s) => sum + s.bustCost, 0),
+    byCause,
+    sessions
+  };
+}
+
+/**
+ * Render a hit ratio series as a sparkline
+ */
+function formatSparkline(series) {
+  const bars = '▁▂▃▄▅▆▇█';
+  return series
+    .map(point => point.hitRatio === null ? ' ' : bars[Math.min(bars.length - 1, Math.floor(point.hitRatio * bars.length))])
+    .join('');
+}
+
+module.exports = {
+  IDLE_GAP_MS,
+  analyzeCache,
+  formatSparkline
+};
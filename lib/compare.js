@@ -0,0 +1,232 @@
+/**
+ * Before/after comparison of reports (`ato compare`)
+ * Measures whether helpers written by `ato apply` are used in later sessions,
+ * how often the multi-call chains they replace still appear, and the token
+ * delta realized per helper
+ */
+
+const fs = require('fs');
+const { flattenSessions } = require('./json-report');
+
+/**
+ * Helpers recorded by `ato apply` (empty if none)
+ */
+function loadHelpers(helpersFile) {
+  try {
+    return JSON.parse(fs.readFileSync(helpersFile, 'utf-8')).helpers || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append applied helpers to the helpers file with the time they were added
+ */
+function recordHelpers(helpersFile, helpers, addedAt = new Date()) {
+  const existing = loadHelpers(helpersFile);
+  const added = helpers.map(helper => ({ ...helper, addedAt: addedAt.toISOString() }));
+  fs.writeFileSync(helpersFile, JSON.stringify({ helpers: [...existing, ...added] }, null, 2));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex matching a Bash command that invokes a helper (make/npm/poe target or script)
+ */
+function helperCommandPattern(name) {
+  const escaped = escapeRegExp(name);
+  const runners = '(?:make|npm run|pnpm(?: run)?|yarn(?: run)?|bun run|poe|pdm run|poetry run poe|uv run poe)';
+  return new RegExp(`(?:^|[\\s;&|(])${runners}\\s+(?:\\S+\\s+)*?${escaped}(?![\\w.-])|(?:^|[\\s/])${escaped}\\.sh(?![\\w.-])`);
+}
+
+/**
+ * Regex matching commands that fit a command template (placeholders match any text)
+ */
+function templateCommandPattern(template) {
+  const source = template
+    .split(/<\w+>/)
+    .map(part => escapeRegExp(part).replace(/\s+/g, '\\s+'))
+    .join('.+?');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tool actions of a session and its subagents, with the tokens of each call:
+ * the assistant message output plus the call input, and the result read back
+ */
+function collectActions(sessions) {
+  const runs = [];
+  for (const session of flattenSessions(sessions)) {
+    const outputByMessage = new Map((session.messages || []).map(m => [m.id, m.usage?.output_tokens || 0]));
+    let run = [];
+    for (const action of session.actions || []) {
+      // Thinking and user messages end a chain, like in the pattern miner
+      if (action.type !== 'tool') {
+        if (run.length > 0) runs.push(run);
+        run = [];
+        continue;
+      }
+      if (action.hidden) continue;
+      const tokens = (outputByMessage.get(action.messageId) || 0) + (action.inputTokens || 0) + (action.outputTokens || 0);
+      run.push({ ...action, tokens });
+    }
+    if (run.length > 0) runs.push(run);
+  }
+  return runs;
+}
+
+/**
+ * Non-overlapping occurrences of a chain of action keys, with their total tokens
+ */
+function countChain(runs, steps) {
+  let occurrences = 0;
+  let tokens = 0;
+  for (const run of runs) {
+    for (let i = 0; i + steps.length <= run.length; i++) {
+      if (!steps.every((key, j) => run[i + j].key === key)) continue;
+      occurrences++;
+      tokens += run.slice(i, i + steps.length).reduce((sum, action) => sum + action.tokens, 0);
+      i += steps.length - 1;
+    }
+  }
+  return { occurrences, tokens };
+}
+
+/**
+ * Bash actions whose command matches a regex, with their total tokens
+ */
+function countCommands(runs, pattern) {
+  let occurrences = 0;
+  let tokens = 0;
+  for (const action of runs.flat()) {
+    if (action.tool !== 'Bash' || !action.command || !pattern.test(action.command.trim())) continue;
+    occurrences++;
+    tokens += action.tokens;
+  }
+  return { occurrences, tokens };
+}
+
+/**
+ * Totals for a set of sessions (tool calls and tokens include subagents)
+ */
+function summarizeSessions(sessions) {
+  const all = flattenSessions(sessions);
+  const tokens = sessions.reduce((sum, s) => sum + Object.values(s.usage || {}).reduce((a, b) => a + b, 0), 0);
+  const costs = sessions.map(s => s.cost).filter(cost => cost !== null && cost !== undefined);
+  return {
+    sessions: sessions.length,
+    toolCalls: all.reduce((sum, s) => sum + (s.actions || []).filter(a => a.type === 'tool').length, 0),
+    tokens,
+    cost: costs.length > 0 ? costs.reduce((a, b) => a + b, 0) : null
+  };
+}
+
+const perSession = (count, sessions) => (sessions > 0 ? count / sessions : 0);
+
+/**
+ * Compare two sets of sessions.
+ * Helper usage, the old chain (or template commands) before and after, and the realized
+ * token delta: uses × (average tokens of the old chain − average tokens of a helper call).
+ *
+ * @param {Array} before - Report sessions before (e.g. from the earlier report)
+ * @param {Array} after - Report sessions after (only sessions not in the earlier report)
+ * @param {Object} [options]
+ * @param {Array} [options.helpers] - Helpers recorded by `ato apply`
+ * @param {Array} [options.patterns] - Patterns detected in the earlier report
+ */
+function compareSessions(before, after, options = {}) {
+  const beforeRuns = collectActions(before);
+  const afterRuns = collectActions(after);
+  const countOld = (runs, item) => (item.steps
+    ? countChain(runs, item.steps)
+    : countCommands(runs, templateCommandPattern(item.template)));
+
+  const helpers = (options.helpers || []).map(helper => {
+    const uses = countCommands(afterRuns, helperCommandPattern(helper.name));
+    const oldBefore = countOld(beforeRuns, helper);
+    const oldAfter = countOld(afterRuns, helper);
+
+    // A chain costs its calls together; a template command is one call
+    const oldSample = oldBefore.occurrences > 0 ? oldBefore : oldAfter;
+    const oldTokens = oldSample.occurrences > 0 ? oldSample.tokens / oldSample.occurrences : null;
+    const helperTokens = uses.occurrences > 0 ? uses.tokens / uses.occurrences : null;
+
+    return {
+      name: helper.name,
+      kind: helper.kind,
+      target: helper.target,
+      addedAt: helper.addedAt || null,
+      uses: uses.occurrences,
+      usesPerSession: perSession(uses.occurrences, after.length),
+      oldBefore: oldBefore.occurrences,
+      oldBeforePerSession: perSession(oldBefore.occurrences, before.length),
+      oldAfter: oldAfter.occurrences,
+      oldAfterPerSession: perSession(oldAfter.occurrences, after.length),
+      oldTokens: oldTokens !== null ? Math.round(oldTokens) : null,
+      helperTokens: helperTokens !== null ? Math.round(helperTokens) : null,
+      realizedTokens: oldTokens !== null && helperTokens !== null ? Math.round(uses.occurrences * (oldTokens - helperTokens)) : null
+    };
+  });
+
+  const patterns = (options.patterns || []).map(pattern => {
+    const oldBefore = countChain(beforeRuns, pattern.steps);
+    const oldAfter = countChain(afterRuns, pattern.steps);
+    return {
+      kind: pattern.kind,
+      steps: pattern.steps,
+      before: oldBefore.occurrences,
+      beforePerSession: perSession(oldBefore.occurrences, before.length),
+      after: oldAfter.occurrences,
+      afterPerSession: perSession(oldAfter.occurrences, after.length)
+    };
+  });
+
+  return {
+    before: summarizeSessions(before),
+    after: summarizeSessions(after),
+    helpers,
+    patterns,
+    realizedTokens: helpers.reduce((sum, h) => sum + (h.realizedTokens || 0), 0)
+  };
+}
+
+/**
+ * Compare two JSON reports: sessions of the later report that are not in the earlier one
+ * are the "after" set
+ */
+function compareReports(earlier, later, options = {}) {
+  const known = new Set(earlier.sessions.map(session => session.id));
+  const after = later.sessions.filter(session => !known.has(session.id));
+  return {
+    from: earlier.generatedAt,
+    to: later.generatedAt,
+    ...compareSessions(earlier.sessions, after, { ...options, patterns: earlier.patterns })
+  };
+}
+
+/**
+ * Compare sessions started before and after a date (e.g. when a helper was added)
+ */
+function compareSince(report, since, options = {}) {
+  const time = new Date(since).toISOString();
+  const before = report.sessions.filter(session => (session.startTime || '') < time);
+  const after = report.sessions.filter(session => (session.startTime || '') >= time);
+  return {
+    from: null,
+    to: report.generatedAt,
+    since: time,
+    ...compareSessions(before, after, { ...options, patterns: report.patterns })
+  };
+}
+
+module.exports = {
+  loadHelpers,
+  recordHelpers,
+  helperCommandPattern,
+  templateCommandPattern,
+  compareSessions,
+  compareReports,
+  compareSince
+};
@@ -0,0 +1,181 @@
+/**
+ * Configuration files (`.atorc.json` or `ato.config.js`)
+ * Read from ~/.ato/ (user) and the project directory, merged in that order. They control how
+ * conversations become timelines: hidden and grouped tools, thresholds, and formatter
+ * modules for in-house tools. The result is plain data so it can be passed to worker threads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['.atorc.json', 'ato.config.js'];
+
+const DEFAULT_CONFIG = {
+  // Tools hidden from the timeline and pattern mining (MCP tools are only hidden by tools.exclude)
+  blocklistTools: [
+    'Glob', 'Grep',                          // Search operations (internal navigation)
+    'TodoWrite',                              // Task management (internal scaffolding)
+    'ExitPlanMode', 'Skill', 'SlashCommand', // Meta-tools (mode switching)
+    'BashOutput', 'KillShell',               // Internal monitoring/cleanup
+    'NotebookEdit'                            // Handled by other formatters
+  ],
+  // Consecutive calls of these tools share one timeline line
+  rleTools: ['Read', 'Write', 'Edit', 'MultiEdit', 'Think'],
+  readSizeThreshold: 3000, // Only show reads of more bytes (~1000 tokens)
+  idleCutoffMs: 60000, // Thinking after a longer gap is idle time, not thinking
+  maxGapMs: 3600000, // Gaps between calls longer than this are not shown
+  tools: {
+    include: [], // Show these even if blocklisted (e.g. Grep, Glob)
+    exclude: [] // Hide these too (names or globs, e.g. mcp__slack__*)
+  },
+  formatters: {} // Tool name or glob -> module path (relative to the config file)
+};
+
+const NUMBER_OPTIONS = ['readSizeThreshold', 'idleCutoffMs', 'maxGapMs'];
+const LIST_OPTIONS = ['blocklistTools', 'rleTools'];
+const RLE_CAPABLE_TOOLS = ['Read', 'Write', 'Edit', 'MultiEdit', 'Think'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Check a config file's options (unknown keys are likely typos)
+ */
+function validateConfig(config, file) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${file}: config must be an object`);
+  }
+  for (const [key, value] of Object.entries(config)) {
+    if (NUMBER_OPTIONS.includes(key)) {
+      if (typeof value !== 'number' || value < 0) throw new Error(`${file}: ${key} must be a non-negative number`);
+    } else if (LIST_OPTIONS.includes(key)) {
+      if (!isStringList(value)) throw new Error(`${file}: ${key} must be a list of tool names`);
+      const unsupported = key === 'rleTools' ? value.filter(tool => !RLE_CAPABLE_TOOLS.includes(tool)) : [];
+      if (unsupported.length > 0) {
+        throw new Error(`${file}: rleTools can only group ${RLE_CAPABLE_TOOLS.join(', ')} (got ${unsupported.join(', ')})`);
+      }
+    } else if (key === 'tools') {
+      for (const [list, names] of Object.entries(value || {})) {
+        if (!['include', 'exclude'].includes(list)) throw new Error(`${file}: unknown option tools.${list}`);
+        if (!isStringList(names)) throw new Error(`${file}: tools.${list} must be a list of tool names`);
+      }
+    } else if (key === 'formatters') {
+      for (const [tool, modulePath] of Object.entries(value || {})) {
+        if (typeof modulePath !== 'string') {
+          throw new Error(`${file}: formatters.${tool} must be a module path (functions can't be passed to workers)`);
+        }
+      }
+    } else {
+      throw new Error(`${file}: unknown option ${key}`);
+    }
+  }
+}
+
+/**
+ * Read the config file in a directory (null if there is none)
+ */
+function readConfigFile(dir) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) continue;
+
+    let config;
+    try {
+      config = name.endsWith('.js')
+        ? require(file)
+        : JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+    validateConfig(config, file);
+    return { file, config };
+  }
+  return null;
+}
+
+/**
+ * Merge a config file over the current config: numbers and tool lists replace,
+ * tools.include/exclude add up, formatters are merged by tool
+ */
+function mergeConfig(base, { file, config }) {
+  const formatters = {};
+  for (const [tool, modulePath] of Object.entries(config.formatters || {})) {
+    formatters[tool] = path.resolve(path.dirname(file), modulePath);
+  }
+  return {
+    ...base,
+    ...Object.fromEntries(Object.entries(config).filter(([key]) => NUMBER_OPTIONS.includes(key) || LIST_OPTIONS.includes(key))),
+    tools: {
+      include: [...base.tools.include, ...(config.tools?.include || [])],
+      exclude: [...base.tools.exclude, ...(config.tools?.exclude || [])]
+    },
+    formatters: { ...base.formatters, ...formatters },
+    files: [...base.files, file]
+  };
+}
+
+/**
+ * Load the user config (~/.ato/) and the project config, merged over the defaults
+ *
+ * @param {Array<string>} dirs - Directories to read, lowest precedence first
+ * @returns {Object} Config with `files` listing the files that were read
+ */
+function loadConfig(dirs) {
+  let config = { ...DEFAULT_CONFIG, files: [] };
+  for (const dir of dirs) {
+    if (!dir) continue;
+    const found = readConfigFile(dir);
+    if (found) config = mergeConfig(config, found);
+  }
+  return config;
+}
+
+/**
+ * Match a tool name against names or globs (* matches any text)
+ */
+function matchesTool(patterns, name) {
+  return patterns.some(pattern => {
+    if (!pattern.includes('*')) return pattern === name;
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(name);
+  });
+}
+
+/**
+ * Whether a tool is left out of timelines: excluded, or blocklisted and not included
+ */
+function isToolHidden(config, name) {
+  if (matchesTool(config.tools.exclude, name)) return true;
+  if (name.startsWith('mcp__')) return false;
+  return config.blocklistTools.includes(name) && !matchesTool(config.tools.include, name);
+}
+
+/**
+ * Load formatter modules: [{pattern, format}] in config order. A module exports
+ * format(tool, result) (or { format }) returning the text shown for the call.
+ */
+function loadFormatters(config) {
+  return Object.entries(config.formatters || {}).map(([pattern, modulePath]) => {
+    let loaded;
+    try {
+      loaded = require(modulePath);
+    } catch (error) {
+      throw new Error(`Invalid formatter module for formatters.${pattern} (${modulePath}): ${error.message.split('\n')[0]}`);
+    }
+    const format = typeof loaded === 'function' ? loaded : loaded?.format;
+    if (typeof format !== 'function') {
+      throw new Error(`Formatter module for formatters.${pattern} must export format(tool, result): ${modulePath}`);
+    }
+    return { pattern, format };
+  });
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  loadConfig,
+  matchesTool,
+  isToolHidden,
+  loadFormatters
+};
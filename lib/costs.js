@@ -0,0 +1,162 @@
+/**
+ * Cost accounting from message usage and a per-model pricing table
+ * Prices are per million tokens; model names match by longest prefix
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { getSessionMessages } = require('./subagents');
+
+const DEFAULT_PRICING_FILE = path.join(__dirname, 'pricing.json');
+
+/**
+ * Load the bundled pricing table, then merge overrides from each existing file
+ */
+function loadPricing(overrideFiles = []) {
+  const table = JSON.parse(fs.readFileSync(DEFAULT_PRICING_FILE, 'utf-8'));
+  table.sources = [DEFAULT_PRICING_FILE];
+
+  for (const file of overrideFiles) {
+    if (!file || !fs.existsSync(file)) continue;
+    let override;
+    try {
+      override = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid pricing file ${file}: ${error.message}`);
+    }
+    Object.assign(table.models, override.models || {});
+    if (override.currency) table.currency = override.currency;
+    table.sources.push(file);
+  }
+
+  return table;
+}
+
+/**
+ * Find prices for a model (longest matching prefix), or null if unknown
+ */
+function getModelPricing(table, model) {
+  if (!model) return null;
+  let best = null;
+  for (const [prefix, prices] of Object.entries(table.models)) {
+    if (model.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+      best = { prefix, prices };
+    }
+  }
+  return best ? best.prices : null;
+}
+
+/**
+ * Cost of one usage record, split by token type (null if the model has no price)
+ */
+function priceUsage(table, model, usage) {
+  const prices = getModelPricing(table, model);
+  if (!prices || !usage) return null;
+
+  const cost = {
+    input: (usage.input_tokens || 0) * (prices.input || 0) / 1e6,
+    output: (usage.output_tokens || 0) * (prices.output || 0) / 1e6,
+    cacheWrite: (usage.cache_creation_input_tokens || 0) * (prices.cache_write || 0) / 1e6,
+    cacheRead: (usage.cache_read_input_tokens || 0) * (prices.cache_read || 0) / 1e6
+  };
+  cost.total = cost.input + cost.output + cost.cacheWrite + cost.cacheRead;
+  return cost;
+}
+
+/**
+ * Tool type a message's cost is attributed to (MCP servers grouped as MCP)
+ */
+function getToolType(name) {
+  return name.startsWith('mcp__') ? 'MCP' : name;
+}
+
+/**
+ * Break down cost by session, model and tool type.
+ * A message's cost is split evenly across the tool calls it made; messages
+ * without tool calls count as 'thinking' or 'text'. Session costs include
+ * their subagents (also listed per subagent).
+ */
+function computeCosts(sequences, table) {
+  const totals = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 };
+  const byModel = {};
+  const byTool = {};
+  const bySession = [];
+  const unpricedModels = new Set();
+
+  // Add one message to the totals and return its cost
+  const addMessage = (message) => {
+    const model = message.model || 'unknown';
+    if (model === '<synthetic>') return 0;
+
+    const cost = priceUsage(table, model, message.usage);
+    if (!byModel[model]) byModel[model] = { cost: 0, messages: 0, priced: cost !== null };
+    byModel[model].messages++;
+
+    if (!cost) {
+      unpricedModels.add(model);
+      return 0;
+    }
+
+    for (const field of Object.keys(totals)) totals[field] += cost[field];
+    byModel[model].cost += cost.total;
+
+    const tools = message.tools && message.tools.length > 0
+      ? message.tools.map(getToolType)
+      : [message.hasThinking ? 'thinking' : 'text'];
+    for (const tool of tools) {
+      byTool[tool] = (byTool[tool] || 0) + cost.total / tools.length;
+    }
+    return cost.total;
+  };
+
+  for (const seq of sequences) {
+    let sessionCost = 0;
+    for (const message of seq.messages || []) {
+      sessionCost += addMessage(message);
+    }
+
+    const subagents = (seq.subagents || []).map(sub => ({
+      id: path.basename(sub.file || 'unknown', '.jsonl'),
+      file: sub.file,
+      cost: getSessionMessages(sub).reduce((sum, message) => sum + addMessage(message), 0)
+    }));
+    const subagentCost = subagents.reduce((sum, sub) => sum + sub.cost, 0);
+
+    bySession.push({
+      id: path.basename(seq.file || 'unknown', '.jsonl'),
+      file: seq.file,
+      cost: sessionCost + subagentCost,
+      subagentCost,
+      subagents
+    });
+  }
+
+  bySession.sort((a, b) => b.cost - a.cost);
+
+  return {
+    currency: table.currency,
+    pricingSources: table.sources,
+    ...totals,
+    byModel,
+    byTool,
+    bySession,
+    unpricedModels: Array.from(unpricedModels)
+  };
+}
+
+/**
+ * Format a dollar amount with precision suited to small values
+ */
+function formatCost(amount) {
+  if (amount > 0 && amount < 0.01) return `$${amount.toFixed(4)}`;
+  return `$${amount.toFixed(2)}`;
+}
+
+module.exports = {
+  loadPricing,
+  getModelPricing,
+  priceUsage,
+  computeCosts,
+  formatCost
+};
@@ -0,0 +1,235 @@
+/**
+ * Edit line range resolution
+ * Finds where an Edit/MultiEdit landed in a file, from (in order of preference)
+ * the structured patch in the tool result, the file content the agent saw in
+ * earlier Read results, or the numbered snippet Claude Code returns after an edit
+ */
+
+const NUMBERED_LINE = /^\s*(\d+)(?:→|\t)(.*)$/;
+
+/**
+ * Parse `cat -n` style lines ("    12→text" or "    12\ttext") into runs of consecutive lines
+ */
+function parseNumberedLines(content) {
+  const segments = [];
+  let current = null;
+
+  for (const line of String(content || '').split('\n')) {
+    const match = line.match(NUMBERED_LINE);
+    if (!match) continue;
+    const number = parseInt(match[1], 10);
+    if (current && number === current.start + current.lines.length) {
+      current.lines.push(match[2]);
+    } else {
+      current = { start: number, lines: [match[2]] };
+      segments.push(current);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Text content of a tool result block (text parts of array content)
+ */
+function getResultText(block) {
+  if (typeof block.content === 'string') return block.content;
+  if (!Array.isArray(block.content)) return '';
+  return block.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * Changed line ranges in the new file from a structured patch (context lines excluded)
+ */
+function getPatchRanges(structuredPatch) {
+  if (!Array.isArray(structuredPatch)) return null;
+
+  const ranges = [];
+  for (const hunk of structuredPatch) {
+    let line = hunk.newStart;
+    let first = null;
+    let last = null;
+    for (const text of hunk.lines || []) {
+      if (text.startsWith('+')) {
+        first = first === null ? line : first;
+        last = line;
+        line++;
+      } else if (text.startsWith('-')) {
+        // Pure deletions are located at the line that follows them
+        first = first === null ? line : first;
+        last = last === null ? line : last;
+      } else {
+        line++;
+      }
+    }
+    if (first !== null) ranges.push(formatRange(first, Math.max(first, last)));
+  }
+  return ranges.length > 0 ? ranges : null;
+}
+
+/**
+ * Lines spanned by a string (a trailing newline does not start a new line)
+ */
+function countLines(text) {
+  const lines = text.split('\n').length;
+  return Math.max(1, text.endsWith('\n') ? lines - 1 : lines);
+}
+
+function formatRange(start, end) {
+  return `L${start}-L${end}`;
+}
+
+/**
+ * Known file content as runs of lines, updated by Read results, Writes and Edits.
+ * Line numbers stay correct across edits because each edit is applied to the content.
+ */
+class FileContents {
+  constructor() {
+    this.files = new Map(); // File -> [{ start, lines }] sorted by start
+  }
+
+  /**
+   * Merge runs of lines (e.g. from a Read result) into a file's known content
+   */
+  addSegments(file, segments) {
+    if (!file || segments.length === 0) return;
+    const lineMap = new Map();
+    for (const segment of [...(this.files.get(file) || []), ...segments]) {
+      segment.lines.forEach((text, i) => lineMap.set(segment.start + i, text));
+    }
+
+    const merged = [];
+    let current = null;
+    for (const number of Array.from(lineMap.keys()).sort((a, b) => a - b)) {
+      if (current && number === current.start + current.lines.length) {
+        current.lines.push(lineMap.get(number));
+      } else {
+        current = { start: number, lines: [lineMap.get(number)] };
+        merged.push(current);
+      }
+    }
+    this.files.set(file, merged);
+  }
+
+  /**
+   * Replace a file's content entirely (Write)
+   */
+  setContent(file, content) {
+    if (!file) return;
+    this.files.set(file, [{ start: 1, lines: content.split('\n') }]);
+  }
+
+  /**
+   * Forget a file whose line numbers are no longer known
+   */
+  forget(file) {
+    this.files.delete(file);
+  }
+
+  /**
+   * Forget every file (after a command that may have changed any of them)
+   */
+  clear() {
+    this.files.clear();
+  }
+
+  /**
+   * Apply a string replacement and return the changed line ranges (null if old_string is not known)
+   */
+  applyEdit(file, oldString, newString, replaceAll = false) {
+    const segments = this.files.get(file);
+    if (!segments || !oldString) return null;
+
+    for (let s = 0; s < segments.length; s++) {
+      const segment = segments[s];
+      const text = segment.lines.join('\n');
+      if (!text.includes(oldString)) continue;
+
+      const ranges = [];
+      let result = '';
+      let searchFrom = 0;
+      let index = text.indexOf(oldString);
+      while (index !== -1) {
+        result += text.slice(searchFrom, index);
+        const line = segment.start + result.split('\n').length - 1;
+        ranges.push(formatRange(line, line + countLines(newString) - 1));
+        result += newString;
+        searchFrom = index + oldString.length;
+        index = replaceAll ? text.indexOf(oldString, searchFrom) : -1;
+      }
+      result += text.slice(searchFrom);
+
+      // Later runs shift by the change in line count
+      const newLines = result.split('\n');
+      const delta = newLines.length - segment.lines.length;
+      segment.lines = newLines;
+      for (let later = s + 1; later < segments.length; later++) {
+        segments[later].start += delta;
+      }
+      return ranges;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Locate new_string in the numbered snippet of an Edit result
+ */
+function locateInSnippet(snippet, newString) {
+  if (!snippet || !newString) return null;
+  for (const segment of snippet) {
+    const text = segment.lines.join('\n');
+    const index = text.indexOf(newString.replace(/\n$/, ''));
+    if (index === -1) continue;
+    const line = segment.start + text.slice(0, index).split('\n').length - 1;
+    return formatRange(line, line + countLines(newString) - 1);
+  }
+  return null;
+}
+
+/**
+ * Resolve the line ranges of an Edit or MultiEdit and update the known content.
+ * Returns "L10-L12" (comma-separated for several places) or "unknown".
+ *
+ * @param {FileContents} contents - Known file content for the session
+ * @param {string} file - Edited file path
+ * @param {Array<{old_string, new_string, replace_all}>} edits - Edits in the order applied
+ * @param {Object} [result] - Tool result summary ({patchRanges, snippet, isError})
+ */
+function resolveEditRanges(contents, file, edits, result) {
+  // A failed edit (e.g. old_string not found) left the file as it was
+  if (result?.isError) return 'unknown';
+
+  const contentRanges = [];
+  let located = true;
+  for (const edit of edits) {
+    const ranges = located
+      ? contents.applyEdit(file, edit.old_string || '', edit.new_string || '', edit.replace_all === true)
+      : null;
+    if (!ranges) {
+      located = false;
+      continue;
+    }
+    contentRanges.push(...ranges);
+  }
+
+  // Line numbers after an edit we could not place are unknown, except for what the snippet shows
+  if (!located) contents.forget(file);
+  if (result?.snippet) contents.addSegments(file, result.snippet);
+
+  let ranges = result?.patchRanges || (located && contentRanges.length > 0 ? contentRanges : null);
+  if (!ranges && edits.length === 1) {
+    const range = locateInSnippet(result?.snippet, edits[0].new_string);
+    ranges = range ? [range] : null;
+  }
+  return ranges ? ranges.join(',') : 'unknown';
+}
+
+module.exports = {
+  FileContents,
+  parseNumberedLines,
+  getResultText,
+  getPatchRanges,
+  resolveEditRanges
+};
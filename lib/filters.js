@@ -0,0 +1,100 @@
+/**
+ * Session filters (date range, session id, git branch, tool call count)
+ * Evaluated against processed conversations, i.e. the entry timestamps and
+ * metadata from the JSONL rather than file modification times
+ */
+
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELATIVE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS };
+
+/**
+ * Parse a date option: ISO date/time or a relative age like 30m, 12h, 7d, 2w.
+ * A date without a time is the start of that day, or the end of it for --until.
+ */
+function parseDateOption(value, name, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const relative = String(value).match(/^(\d+)([mhdw])$/);
+  if (relative) {
+    return new Date(now - parseInt(relative[1], 10) * RELATIVE_UNITS[relative[2]]);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value} (use YYYY-MM-DD, an ISO timestamp or e.g. 7d)`);
+  }
+  if (name === '--until' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + DAY_MS - 1);
+  }
+  return date;
+}
+
+/**
+ * Normalize filter options; returns null when no filter is set
+ */
+function createFilters(options = {}) {
+  const filters = {
+    since: parseDateOption(options.since, '--since'),
+    until: parseDateOption(options.until, '--until'),
+    sessions: options.sessions && options.sessions.length > 0 ? options.sessions : null,
+    branches: options.branches && options.branches.length > 0 ? options.branches : null,
+    minToolCalls: options.minToolCalls || null
+  };
+
+  if (filters.since && filters.until && filters.since > filters.until) {
+    throw new Error('--since must be before --until');
+  }
+
+  return Object.values(filters).some(value => value !== null) ? filters : null;
+}
+
+/**
+ * Check whether a processed conversation passes every filter
+ */
+function matchesFilters(seq, filters) {
+  if (!filters) return true;
+
+  // Sessions active during the range (overlapping it) are kept
+  if (filters.since && (!seq.endTime || new Date(seq.endTime) < filters.since)) return false;
+  if (filters.until && (!seq.startTime || new Date(seq.startTime) > filters.until)) return false;
+
+  if (filters.sessions) {
+    const ids = [seq.sessionId, path.basename(seq.file || '', '.jsonl')].filter(Boolean);
+    if (!filters.sessions.some(prefix => ids.some(id => id.startsWith(prefix)))) return false;
+  }
+
+  if (filters.branches) {
+    const branches = seq.gitBranches || (seq.gitBranch ? [seq.gitBranch] : []);
+    if (!filters.branches.some(branch => branches.includes(branch))) return false;
+  }
+
+  if (filters.minToolCalls) {
+    const toolCalls = (seq.steps || []).filter(step => step.type === 'tool').length;
+    if (toolCalls < filters.minToolCalls) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describe active filters for messages (e.g. "since 2025-11-01, branch release")
+ */
+function describeFilters(filters) {
+  if (!filters) return '';
+  const parts = [];
+  if (filters.since) parts.push(`since ${filters.since.toISOString()}`);
+  if (filters.until) parts.push(`until ${filters.until.toISOString()}`);
+  if (filters.sessions) parts.push(`session ${filters.sessions.join('|')}`);
+  if (filters.branches) parts.push(`branch ${filters.branches.join('|')}`);
+  if (filters.minToolCalls) parts.push(`at least ${filters.minToolCalls} tool calls`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  parseDateOption,
+  createFilters,
+  matchesFilters,
+  describeFilters
+};
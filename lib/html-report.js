@@ -0,0 +1,309 @@
+/**
+ * Self-contained HTML report (`--format=html`)
+ * Renders the JSON report as one file with inline CSS, SVG charts and a little JS:
+ * tokens over time and a flame-style timeline per session, tool usage, top files by
+ * bytes read, and collapsible sessions. Nothing is loaded from a CDN.
+ */
+
+const path = require('path');
+const { formatCost } = require('./costs');
+const { flattenSessions } = require('./json-report');
+const { formatStepLabel } = require('./pattern-miner');
+
+const CHART_WIDTH = 960;
+const TOKEN_CHART_HEIGHT = 160;
+const FLAME_ROW_HEIGHT = 18;
+const TOP_FILES = 15;
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2em auto; max-width: 1000px; color: #222; padding: 0 1em; }
+h1 { font-size: 1.5em; } h2 { font-size: 1.2em; margin-top: 2em; } h3 { font-size: 1em; }
+.summary { display: flex; flex-wrap: wrap; gap: 1.5em; margin: 1em 0; }
+.summary div { background: #f4f4f6; border-radius: 6px; padding: .5em 1em; }
+.summary b { display: block; font-size: 1.3em; }
+.bars { display: grid; grid-template-columns: minmax(8em, max-content) 1fr max-content; gap: 2px .75em; align-items: center; }
+.bar { background: #4c78a8; height: 14px; border-radius: 2px; min-width: 1px; }
+.label { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 28em; font-family: ui-monospace, monospace; font-size: 12px; }
+.num { text-align: right; color: #555; font-variant-numeric: tabular-nums; }
+details.session { border: 1px solid #ddd; border-radius: 6px; margin: .5em 0; padding: .25em .75em; }
+details.session > summary { cursor: pointer; font-weight: 600; }
+details.session > summary span { font-weight: normal; color: #555; margin-left: .75em; }
+svg { display: block; margin: .5em 0; max-width: 100%; height: auto; font: 11px sans-serif; }
+svg .axis { fill: #777; }
+.legend span { margin-right: 1.5em; font-size: 12px; }
+.legend i { display: inline-block; width: .8em; height: .8em; margin-right: .3em; vertical-align: middle; }
+ol.actions { font-family: ui-monospace, monospace; font-size: 12px; padding-left: 3em; }
+ol.actions li.note { list-style: none; color: #777; margin-left: -2em; }
+ol.actions .failed { color: #c0392b; }
+button { margin-right: .5em; }
+`;
+
+const SCRIPT = `
+function setSessions(open) {
+  document.querySelectorAll('details.session').forEach(function (d) { d.open = open; });
+}
+`;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const formatNumber = value => Math.round(value).toLocaleString('en-US');
+const totalTokens = usage => Object.values(usage || {}).reduce((sum, value) => sum + value, 0);
+const toMs = timestamp => (timestamp ? new Date(timestamp).getTime() : NaN);
+
+/**
+ * Stable color per tool name
+ */
+function toolColor(tool) {
+  let hash = 0;
+  for (const char of tool || '') hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return `hsl(${hash % 360}, 55%, 55%)`;
+}
+
+/**
+ * File path relative to the session's working directory (full path outside it)
+ */
+function displayPath(file, cwd) {
+  if (cwd && file.startsWith(cwd + path.sep)) return path.relative(cwd, file);
+  return file;
+}
+
+/**
+ * Horizontal bar chart as a CSS grid: [{label, value, text}]
+ */
+function renderBars(rows) {
+  if (rows.length === 0) return '<p>None.</p>';
+  const max = Math.max(...rows.map(row => row.value), 1);
+  const cells = rows.map(row => `<div class="label" title="${escapeHtml(row.label)}">${escapeHtml(row.label)}</div>` +
+    `<div><div class="bar" style="width:${(100 * row.value / max).toFixed(1)}%"></div></div>` +
+    `<div class="num">${escapeHtml(row.text)}</div>`);
+  return `<div class="bars">${cells.join('\n')}</div>`;
+}
+
+/**
+ * Tool calls by tool, over all sessions and subagents
+ */
+function renderToolUsage(report) {
+  const total = Object.values(report.toolUsage || {}).reduce((sum, count) => sum + count, 0);
+  const rows = Object.entries(report.toolUsage || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([tool, count]) => ({ label: tool, value: count, text: `${count} (${Math.round(100 * count / (total || 1))}%)` }));
+  return renderBars(rows);
+}
+
+/**
+ * Files ranked by bytes returned by Read calls
+ */
+function renderTopFiles(report) {
+  const files = new Map();
+  for (const session of flattenSessions(report.sessions)) {
+    for (const action of session.actions) {
+      if (action.type !== 'tool' || action.tool !== 'Read' || !action.file) continue;
+      const label = displayPath(action.file, session.cwd);
+      const entry = files.get(label) || { bytes: 0, reads: 0 };
+      entry.bytes += action.outputBytes || 0;
+      entry.reads++;
+      files.set(label, entry);
+    }
+  }
+  const rows = Array.from(files.entries())
+    .sort((a, b) => b[1].bytes - a[1].bytes)
+    .slice(0, TOP_FILES)
+    .map(([file, entry]) => ({ label: file, value: entry.bytes, text: `${formatNumber(entry.bytes)}b in ${entry.reads} reads` }));
+  return renderBars(rows);
+}
+
+/**
+ * Line chart of the context size of each assistant turn (input + cache) and the
+ * cumulative output tokens of the session
+ */
+function renderTokenChart(session) {
+  const messages = session.messages
+    .filter(message => message.timestamp && message.usage)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  if (messages.length < 2) return '';
+
+  const start = toMs(messages[0].timestamp);
+  const span = Math.max(toMs(messages[messages.length - 1].timestamp) - start, 1);
+  let output = 0;
+  const points = messages.map(message => {
+    const usage = message.usage;
+    output += usage.output_tokens || 0;
+    return {
+      x: toMs(message.timestamp) - start,
+      context: (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0),
+      output
+    };
+  });
+  const max = Math.max(...points.map(point => Math.max(point.context, point.output)), 1);
+
+  const left = 60;
+  const plotWidth = CHART_WIDTH - left - 10;
+  const plotHeight = TOKEN_CHART_HEIGHT - 25;
+  const x = value => (left + plotWidth * value / span).toFixed(1);
+  const y = value => (5 + plotHeight * (1 - value / max)).toFixed(1);
+  const line = (field, color) => `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points.map(p => `${x(p.x)},${y(p[field])}`).join(' ')}"/>`;
+  const dots = points.map(p => `<circle cx="${x(p.x)}" cy="${y(p.context)}" r="2" fill="#4c78a8"><title>${formatNumber(p.context)} context tokens</title></circle>`);
+
+  return `<div class="legend"><span><i style="background:#4c78a8"></i>context per turn (input + cache)</span>` +
+    `<span><i style="background:#f58518"></i>cumulative output</span></div>` +
+    `<svg width="${CHART_WIDTH}" height="${TOKEN_CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${TOKEN_CHART_HEIGHT}">` +
+    `<line x1="${left}" y1="${5 + plotHeight}" x2="${CHART_WIDTH - 10}" y2="${5 + plotHeight}" stroke="#ccc"/>` +
+    `<text class="axis" x="${left - 5}" y="12" text-anchor="end">${formatNumber(max)}</text>` +
+    `<text class="axis" x="${left - 5}" y="${5 + plotHeight}" text-anchor="end">0</text>` +
+    `<text class="axis" x="${left}" y="${TOKEN_CHART_HEIGHT - 5}">${escapeHtml(messages[0].timestamp.slice(11, 19))}</text>` +
+    `<text class="axis" x="${CHART_WIDTH - 10}" y="${TOKEN_CHART_HEIGHT - 5}" text-anchor="end">${escapeHtml(messages[messages.length - 1].timestamp.slice(11, 19))}</text>` +
+    line('output', '#f58518') + line('context', '#4c78a8') + dots.join('') +
+    '</svg>';
+}
+
+/**
+ * Tooltip text of a tool call
+ */
+function describeAction(action, formatDuration) {
+  const parts = [formatStepLabel(action.key || action.tool)];
+  if (action.durationMs !== null && action.durationMs !== undefined) parts.push(formatDuration(action.durationMs));
+  parts.push(`in ${action.inputBytes || 0}b/~${action.inputTokens || 0}t, out ${action.outputBytes || 0}b/~${action.outputTokens || 0}t`);
+  if (action.exitCode) parts.push(`exit ${action.exitCode}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Flame-style timeline: the session on the first row, its tool calls below and
+ * subagent calls under the Task call that started them. Thinking and user messages
+ * are markers on the session row.
+ */
+function renderFlame(session, formatDuration) {
+  const start = toMs(session.startTime);
+  const end = toMs(session.endTime);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return '';
+
+  const span = Math.max(end - start, 1);
+  const bars = [];
+  let depth = 0;
+  const x = time => CHART_WIDTH * Math.min(Math.max((time - start) / span, 0), 1);
+
+  const addTranscript = (transcript, row) => {
+    depth = Math.max(depth, row);
+    const subagents = new Map((transcript.subagents || []).map(sub => [sub.toolUseId, sub]));
+    for (const action of transcript.actions) {
+      const time = toMs(action.timestamp);
+      if (!Number.isFinite(time)) continue;
+      if (action.type !== 'tool') {
+        if (row > 1) continue;
+        const color = action.type === 'user' ? '#2ca02c' : '#bbb';
+        const title = action.type === 'user' ? `User: ${action.text || ''}` : 'Thinking';
+        bars.push(`<rect x="${x(time).toFixed(1)}" y="0" width="2" height="${FLAME_ROW_HEIGHT - 2}" fill="${color}"><title>${escapeHtml(title.slice(0, 200))}</title></rect>`);
+        continue;
+      }
+      const left = x(time);
+      const width = Math.max(x(time + (action.durationMs || 0)) - left, 2);
+      const y = row * FLAME_ROW_HEIGHT;
+      bars.push(`<g><rect x="${left.toFixed(1)}" y="${y}" width="${width.toFixed(1)}" height="${FLAME_ROW_HEIGHT - 2}" fill="${toolColor(action.tool)}"` +
+        `${action.exitCode ? ' stroke="#c0392b"' : ''}><title>${escapeHtml(describeAction(action, formatDuration))}</title></rect>` +
+        (width > 40 ? `<text x="${(left + 3).toFixed(1)}" y="${y + 12}" fill="#fff" pointer-events="none">${escapeHtml(action.tool.slice(0, Math.floor(width / 7)))}</text>` : '') +
+        '</g>');
+      const sub = subagents.get(action.toolUseId);
+      if (sub) addTranscript(sub, row + 1);
+    }
+  };
+
+  bars.push(`<rect x="0" y="0" width="${CHART_WIDTH}" height="${FLAME_ROW_HEIGHT - 2}" fill="#e8e8ec"><title>Session ${escapeHtml(session.id)}</title></rect>`);
+  addTranscript(session, 1);
+
+  const height = (depth + 1) * FLAME_ROW_HEIGHT + 14;
+  return `<svg width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}">` +
+    bars.join('') +
+    `<text class="axis" x="0" y="${height - 2}">${escapeHtml((session.startTime || '').slice(11, 19))}</text>` +
+    `<text class="axis" x="${CHART_WIDTH}" y="${height - 2}" text-anchor="end">+${escapeHtml(formatDuration(span))}</text>` +
+    '</svg>';
+}
+
+/**
+ * Numbered list of a transcript's tool calls, subagents nested under their Task call
+ */
+function renderActions(transcript, formatDuration) {
+  const subagents = new Map((transcript.subagents || []).map(sub => [sub.toolUseId, sub]));
+  const items = transcript.actions.map(action => {
+    if (action.type === 'user') return `<li class="note">User: ${escapeHtml((action.text || '').slice(0, 300))}</li>`;
+    if (action.type !== 'tool') return '';
+    const sub = subagents.get(action.toolUseId);
+    const nested = sub ? `<details><summary>Subagent ${escapeHtml(sub.agentId || sub.id)} (${sub.actions.filter(a => a.type === 'tool').length} tool calls)</summary>${renderActions(sub, formatDuration)}</details>` : '';
+    const className = action.exitCode ? ' class="failed"' : '';
+    return `<li${className}>${escapeHtml(describeAction(action, formatDuration))}${nested}</li>`;
+  });
+  return `<ol class="actions">${items.join('\n')}</ol>`;
+}
+
+function renderSession(session, formatDuration) {
+  const toolCalls = flattenSessions([session]).reduce((sum, s) => sum + s.actions.filter(a => a.type === 'tool').length, 0);
+  const details = [
+    session.startTime ? session.startTime.replace('T', ' ').slice(0, 19) : null,
+    session.durationMs !== null ? formatDuration(session.durationMs) : null,
+    `${toolCalls} tool calls`,
+    `${formatNumber(totalTokens(session.usage))} tokens`,
+    session.cost !== null && session.cost !== undefined ? formatCost(session.cost) : null,
+    session.gitBranch
+  ].filter(Boolean);
+
+  return `<details class="session"><summary>${escapeHtml(session.id)}<span>${escapeHtml(details.join(' · '))}</span></summary>\n` +
+    '<h3>Tokens over time</h3>\n' + (renderTokenChart(session) || '<p>Not enough turns to chart.</p>') + '\n' +
+    '<h3>Timeline</h3>\n' + renderFlame(session, formatDuration) + '\n' +
+    '<h3>Tool calls</h3>\n' + renderActions(session, formatDuration) + '\n' +
+    '</details>';
+}
+
+/**
+ * Build the HTML report from a JSON report (buildJsonReport)
+ *
+ * @param {Object} report - JSON report
+ * @param {Object} [options]
+ * @param {string} [options.title] - Page title (default: project path)
+ * @param {Function} [options.formatDuration] - Milliseconds to a short duration string
+ */
+function buildHtmlReport(report, options = {}) {
+  const formatDuration = options.formatDuration || (ms => `${Math.round(ms / 1000)}s`);
+  const title = options.title || `Tool call report${report.projectPath ? `: ${report.projectPath}` : ''}`;
+  const summary = report.summary;
+  const cost = report.costs ? formatCost(report.costs.total) : null;
+  const cards = [
+    ['Conversations', formatNumber(summary.conversations)],
+    ['Tool calls', formatNumber(summary.toolCalls)],
+    ['Tokens', formatNumber(totalTokens(summary.usage))],
+    cost ? ['Estimated cost', cost] : null,
+    summary.subagents ? ['Subagents', formatNumber(summary.subagents)] : null
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+<script>${SCRIPT}</script>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}${summary.models.length > 0 ? ` · models: ${escapeHtml(summary.models.join(', '))}` : ''}</p>
+<div class="summary">${cards.map(([label, value]) => `<div>${escapeHtml(label)}<b>${escapeHtml(value)}</b></div>`).join('')}</div>
+<h2>Tool usage</h2>
+${renderToolUsage(report)}
+<h2>Top files by bytes read</h2>
+${renderTopFiles(report)}
+<h2>Sessions</h2>
+<p><button onclick="setSessions(true)">Expand all</button><button onclick="setSessions(false)">Collapse all</button></p>
+${report.sessions.map(session => renderSession(session, formatDuration)).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildHtmlReport
+};
@@ -0,0 +1,184 @@
+/**
+ * Structured (JSON) report built from processed conversations
+ * Mirrors the Markdown report without pre-formatted timeline text
+ */
+
+const path = require('path');
+const { getSessionMessages } = require('./subagents');
+
+const REPORT_SCHEMA = 'agent-trace-ops/report';
+const REPORT_SCHEMA_VERSION = 2; // 2: subagent transcripts nested under their parent session
+
+const USAGE_FIELDS = [
+  'input_tokens',
+  'output_tokens',
+  'cache_creation_input_tokens',
+  'cache_read_input_tokens'
+];
+
+/**
+ * Sum token usage over a list of messages
+ */
+function sumUsage(messages) {
+  const total = {};
+  for (const field of USAGE_FIELDS) total[field] = 0;
+  for (const message of messages || []) {
+    for (const field of USAGE_FIELDS) {
+      total[field] += message.usage?.[field] || 0;
+    }
+  }
+  return total;
+}
+
+/**
+ * Milliseconds between two ISO timestamps (null if either is missing)
+ */
+function diffMs(start, end) {
+  if (!start || !end) return null;
+  const diff = new Date(end).getTime() - new Date(start).getTime();
+  return Number.isFinite(diff) ? diff : null;
+}
+
+/**
+ * Convert a worker step into a report action
+ */
+function toAction(step, prevTimestamp) {
+  const action = {
+    type: step.type,
+    timestamp: step.timestamp || null,
+    gapMs: diffMs(prevTimestamp, step.timestamp)
+  };
+
+  if (step.type === 'user') {
+    action.text = step.text;
+    return action;
+  }
+
+  action.messageId = step.messageId || null;
+  if (step.type === 'think') return action;
+
+  return {
+    ...action,
+    tool: step.tool,
+    toolUseId: step.toolUseId,
+    key: step.key,
+    durationMs: diffMs(step.timestamp, step.resultTimestamp),
+    inputBytes: step.inputBytes,
+    inputTokens: step.inputTokens,
+    outputBytes: step.outputBytes,
+    outputTokens: step.outputTokens,
+    hidden: step.hidden,
+    file: step.file || null,
+    range: step.range || null,
+    command: step.command !== undefined ? step.command : null,
+    exitCode: step.exitCode !== undefined ? step.exitCode : null,
+    agentId: step.agentId || null
+  };
+}
+
+/**
+ * Find the cost of a session or subagent transcript
+ */
+function findCost(costs, file) {
+  if (!costs) return null;
+  const entry = costs.bySession.flatMap(s => [s, ...(s.subagents || [])]).find(s => s.file === file);
+  return entry ? entry.cost : null;
+}
+
+/**
+ * A session followed by its subagent sessions (recursively)
+ */
+function flattenSessions(sessions) {
+  return sessions.flatMap(session => [session, ...flattenSessions(session.subagents)]);
+}
+
+/**
+ * Convert a processed conversation into a report session.
+ * Usage and cost include subagents, which are nested with the Task call that started them.
+ */
+function toSession(seq, costs) {
+  const actions = [];
+  let prevTimestamp = null;
+  for (const step of seq.steps || []) {
+    actions.push(toAction(step, prevTimestamp));
+    if (step.timestamp) prevTimestamp = step.timestamp;
+  }
+
+  return {
+    id: path.basename(seq.file || 'unknown', '.jsonl'),
+    sessionId: seq.sessionId || null,
+    project: seq.project || null,
+    file: seq.file,
+    cwd: seq.cwd || null,
+    gitBranch: seq.gitBranch || null,
+    gitBranches: seq.gitBranches || [],
+    startTime: seq.startTime || null,
+    endTime: seq.endTime || null,
+    durationMs: diffMs(seq.startTime, seq.endTime),
+    usage: sumUsage(getSessionMessages(seq)),
+    cost: findCost(costs, seq.file),
+    messages: seq.messages || [],
+    actions,
+    subagents: (seq.subagents || []).map(sub => ({
+      toolUseId: sub.toolUseId || null,
+      agentId: sub.agentId || null,
+      ...toSession(sub, costs)
+    }))
+  };
+}
+
+/**
+ * Build the versioned JSON report
+ */
+function buildJsonReport(sequences, options = {}) {
+  const sessions = sequences
+    .map(seq => toSession(seq, options.costs))
+    .sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''));
+
+  const toolUsage = {};
+  const models = new Set();
+  let toolCalls = 0;
+
+  for (const session of flattenSessions(sessions)) {
+    for (const action of session.actions) {
+      if (action.type !== 'tool') continue;
+      toolCalls++;
+      toolUsage[action.tool] = (toolUsage[action.tool] || 0) + 1;
+    }
+    for (const message of session.messages) {
+      if (message.model && message.model !== '<synthetic>') models.add(message.model);
+    }
+  }
+
+  return {
+    schema: REPORT_SCHEMA,
+    version: REPORT_SCHEMA_VERSION,
+    generatedAt: (options.generatedAt || new Date()).toISOString(),
+    projectPath: options.projectPath || null,
+    summary: {
+      conversations: sessions.length,
+      toolCalls,
+      models: Array.from(models),
+      subagents: flattenSessions(sessions).length - sessions.length,
+      usage: sumUsage(sequences.flatMap(getSessionMessages))
+    },
+    toolUsage,
+    projects: options.projects || [],
+    costs: options.costs || null,
+    cache: options.cache || null,
+    redundantReads: options.redundantReads || null,
+    bashFailures: options.bashFailures || null,
+    commandTemplates: options.commandTemplates || [],
+    patterns: options.patterns || [],
+    tokenizer: options.tokenizer || null, // Estimator behind inputTokens/outputTokens (usage is reported by the API)
+    sessions
+  };
+}
+
+module.exports = {
+  REPORT_SCHEMA,
+  REPORT_SCHEMA_VERSION,
+  buildJsonReport,
+  flattenSessions,
+  sumUsage
+};
@@ -0,0 +1,63 @@
+/**
+ * Streaming JSONL reader
+ * Reads one line at a time so memory stays bounded for very large transcripts
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Stream a JSONL file, calling onEntry(entry, lineNumber) for each parsed line.
+ * Returning false from onEntry stops reading early.
+ * Malformed lines are collected with their line numbers instead of being dropped silently.
+ *
+ * @param {string} filePath - JSONL file to read
+ * @param {Function} [onEntry] - Callback for each parsed entry
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - Cheap test on the raw line; lines failing it are not parsed
+ * @returns {Promise<{lines: number, entries: number, errors: Array<{line: number, message: string}>, stopped: boolean}>}
+ */
+async function readJSONL(filePath, onEntry, options = {}) {
+  const stats = { lines: 0, entries: 0, errors: [], stopped: false };
+  const stream = fs.createReadStream(filePath, { encoding: 'utf-8' });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  try {
+    for await (const line of rl) {
+      stats.lines++;
+      if (!line.trim()) continue;
+      if (options.filter && !options.filter(line)) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        stats.errors.push({ line: stats.lines, message: error.message });
+        continue;
+      }
+
+      stats.entries++;
+      if (onEntry && onEntry(entry, stats.lines) === false) {
+        stats.stopped = true;
+        break;
+      }
+    }
+  } finally {
+    rl.close();
+    stream.destroy();
+  }
+
+  return stats;
+}
+
+/**
+ * Format malformed line errors for display (e.g. "session.jsonl:12: Unexpected token")
+ */
+function formatLineErrors(filePath, errors) {
+  return errors.map(error => `${filePath}:${error.line}: ${error.message}`);
+}
+
+module.exports = {
+  readJSONL,
+  formatLineErrors
+};
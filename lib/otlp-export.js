@@ -0,0 +1,237 @@
+/**
+ * OpenTelemetry trace export
+ * Turns processed sessions into OTLP JSON (the body of a POST to /v1/traces):
+ * one trace per session with spans for assistant turns, thinking blocks,
+ * tool calls and subagents, following the GenAI semantic conventions where they apply
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { version } = require('../package.json');
+const { sumUsage } = require('./json-report');
+
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_ERROR = 2;
+const MAX_COMMAND_LENGTH = 1000;
+
+/**
+ * Deterministic hex id (same session exports to the same trace and span ids)
+ */
+function hexId(seed, length) {
+  return crypto.createHash('sha256').update(seed).digest('hex').slice(0, length);
+}
+
+/**
+ * ISO timestamp to OTLP nanoseconds (decimal string)
+ */
+function toUnixNano(timestamp) {
+  const ms = new Date(timestamp).getTime();
+  return Number.isFinite(ms) ? (BigInt(ms) * 1000000n).toString() : null;
+}
+
+/**
+ * OTLP attribute list from an object (null/undefined values are dropped)
+ */
+function toAttributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => {
+      if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+      if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+      if (typeof value === 'number') return { key, value: { doubleValue: value } };
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+/**
+ * Usage attributes of a message (or of summed messages)
+ */
+function usageAttributes(usage) {
+  if (!usage) return {};
+  return {
+    'gen_ai.usage.input_tokens': usage.input_tokens || 0,
+    'gen_ai.usage.output_tokens': usage.output_tokens || 0,
+    'gen_ai.usage.cache_creation_input_tokens': usage.cache_creation_input_tokens || 0,
+    'gen_ai.usage.cache_read_input_tokens': usage.cache_read_input_tokens || 0
+  };
+}
+
+/**
+ * Start of an assistant turn: the latest event before the message was written
+ * (user message, tool result or previous message), else the session start
+ */
+function findTurnStart(message, events, sessionStart) {
+  let start = sessionStart;
+  for (const time of events) {
+    if (time >= message.timestamp) break;
+    start = time;
+  }
+  return start;
+}
+
+/**
+ * Spans for one transcript (session or subagent) under a parent span
+ */
+function buildTranscriptSpans(seq, traceId, parentSpanId, options) {
+  const spans = [];
+  const sessionId = path.basename(seq.file || 'unknown', '.jsonl');
+  const spanId = key => hexId(`${traceId}:${sessionId}:${key}`, 16);
+  const rootId = spanId('root');
+  const start = toUnixNano(seq.startTime);
+  const end = toUnixNano(seq.endTime || seq.startTime);
+  if (!start) return spans;
+
+  const isSubagent = parentSpanId !== null;
+  const userSteps = (seq.steps || []).filter(step => step.type === 'user' && step.timestamp);
+  spans.push({
+    traceId,
+    spanId: rootId,
+    ...(parentSpanId ? { parentSpanId } : {}),
+    name: isSubagent ? `invoke_agent ${seq.agentId || sessionId}` : `session ${sessionId}`,
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: start,
+    endTimeUnixNano: end,
+    attributes: toAttributes({
+      'gen_ai.operation.name': 'invoke_agent',
+      'gen_ai.conversation.id': seq.sessionId || sessionId,
+      'gen_ai.agent.id': seq.agentId || null,
+      'ato.session.file': seq.file || null,
+      'ato.project': seq.project || null,
+      'ato.cwd': seq.cwd || null,
+      'ato.git.branch': seq.gitBranch || null,
+      'ato.cost_usd': options.costs?.get(seq.file) ?? null,
+      ...usageAttributes(sumUsage(seq.messages))
+    }),
+    // User prompts are events on the session span
+    events: userSteps.map(step => ({
+      timeUnixNano: toUnixNano(step.timestamp),
+      name: 'user_message',
+      attributes: toAttributes({ 'ato.text': (step.text || '').slice(0, MAX_COMMAND_LENGTH) })
+    })),
+    status: {}
+  });
+
+  // Assistant turns run from the previous event until the message was written
+  const events = (seq.steps || [])
+    .flatMap(step => [step.type === 'user' ? step.timestamp : null, step.resultTimestamp || null])
+    .concat((seq.messages || []).map(message => message.timestamp))
+    .filter(Boolean)
+    .sort();
+  const turnIds = new Map();
+  for (const message of seq.messages || []) {
+    if (!message.timestamp) continue;
+    const id = spanId(`turn:${message.id}`);
+    turnIds.set(message.id, { id, start: findTurnStart(message, events, seq.startTime), end: message.timestamp });
+    spans.push({
+      traceId,
+      spanId: id,
+      parentSpanId: rootId,
+      name: `chat ${message.model || 'unknown'}`,
+      kind: SPAN_KIND_CLIENT,
+      startTimeUnixNano: toUnixNano(turnIds.get(message.id).start),
+      endTimeUnixNano: toUnixNano(message.timestamp),
+      attributes: toAttributes({
+        'gen_ai.operation.name': 'chat',
+        'gen_ai.request.model': message.model || null,
+        'gen_ai.response.id': message.id,
+        'ato.tool_calls': (message.tools || []).length,
+        ...usageAttributes(message.usage)
+      }),
+      status: {}
+    });
+  }
+
+  const subagents = new Map((seq.subagents || []).map(sub => [sub.toolUseId, sub]));
+  for (const step of seq.steps || []) {
+    if (!step.timestamp) continue;
+
+    if (step.type === 'think') {
+      const turn = turnIds.get(step.messageId);
+      spans.push({
+        traceId,
+        spanId: spanId(`think:${step.messageId}:${step.timestamp}`),
+        parentSpanId: turn ? turn.id : rootId,
+        name: 'thinking',
+        kind: SPAN_KIND_INTERNAL,
+        startTimeUnixNano: toUnixNano(turn ? turn.start : step.timestamp),
+        endTimeUnixNano: toUnixNano(step.timestamp),
+        attributes: toAttributes({ 'gen_ai.response.id': step.messageId || null }),
+        status: {}
+      });
+      continue;
+    }
+    if (step.type !== 'tool') continue;
+
+    const toolSpanId = spanId(`tool:${step.toolUseId}`);
+    const failed = (step.exitCode || 0) !== 0;
+    spans.push({
+      traceId,
+      spanId: toolSpanId,
+      parentSpanId: rootId,
+      name: `execute_tool ${step.tool}`,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: toUnixNano(step.timestamp),
+      endTimeUnixNano: toUnixNano(step.resultTimestamp || step.timestamp),
+      attributes: toAttributes({
+        'gen_ai.operation.name': 'execute_tool',
+        'gen_ai.tool.name': step.tool,
+        'gen_ai.tool.call.id': step.toolUseId,
+        'gen_ai.response.id': step.messageId || null,
+        'ato.input.bytes': step.inputBytes || 0,
+        'ato.input.tokens': step.inputTokens || 0,
+        'ato.output.bytes': step.outputBytes || 0,
+        'ato.output.tokens': step.outputTokens || 0,
+        'ato.file': step.file || null,
+        'ato.range': step.range || null,
+        'ato.command': step.command ? step.command.slice(0, MAX_COMMAND_LENGTH) : null,
+        'process.exit.code': step.exitCode !== undefined ? step.exitCode : null
+      }),
+      status: failed ? { code: STATUS_ERROR, message: `exit code ${step.exitCode}` } : {}
+    });
+
+    // A subagent runs under the Task call that started it
+    const sub = subagents.get(step.toolUseId);
+    if (sub) spans.push(...buildTranscriptSpans(sub, traceId, toolSpanId, options));
+  }
+
+  return spans;
+}
+
+/**
+ * Build an OTLP JSON trace export: one trace per session, subagents nested in the same trace
+ *
+ * @param {Array} sequences - Processed conversations (subagents stitched, not flattened)
+ * @param {Object} [options]
+ * @param {string} [options.serviceName] - resource service.name (default: claude-code)
+ * @param {Object} [options.costs] - computeCosts() result, adds ato.cost_usd per session
+ */
+function buildOtlpTraces(sequences, options = {}) {
+  const costs = new Map((options.costs?.bySession || [])
+    .flatMap(s => [s, ...(s.subagents || [])])
+    .map(s => [s.file, s.cost]));
+
+  const spans = sequences.flatMap(seq => {
+    const traceId = hexId(seq.file || seq.sessionId || 'unknown', 32);
+    return buildTranscriptSpans(seq, traceId, null, { costs });
+  });
+
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: toAttributes({
+          'service.name': options.serviceName || 'claude-code',
+          'telemetry.sdk.name': 'agent-trace-ops'
+        })
+      },
+      scopeSpans: [{
+        scope: { name: 'agent-trace-ops', version },
+        spans
+      }]
+    }]
+  };
+}
+
+module.exports = {
+  buildOtlpTraces
+};
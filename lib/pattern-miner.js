@@ -0,0 +1,131 @@
+/**
+ * Deterministic pattern miner for repeated tool-call sequences
+ * Runs locally over the action streams produced by conversation-worker.js
+ */
+
+const path = require('path');
+
+/**
+ * Split a session's action stream into mechanical segments.
+ * Thinking blocks and user messages end a segment: sequences that span them
+ * involve judgment and should not be turned into helpers.
+ */
+function splitSegments(steps) {
+  const segments = [];
+  let current = [];
+
+  for (const step of steps || []) {
+    if (step.type === 'tool') {
+      if (!step.hidden) current.push(step);
+      continue;
+    }
+    if (current.length > 0) segments.push(current);
+    current = [];
+  }
+
+  if (current.length > 0) segments.push(current);
+  return segments;
+}
+
+/**
+ * Short display label for an action key (first line of multi-line commands)
+ */
+function formatStepLabel(key) {
+  const lines = key.split('\n');
+  return lines.length > 1 ? `${lines[0]} …` : key;
+}
+
+/**
+ * Check if `inner` appears as a contiguous run inside `outer`
+ */
+function isSubsequence(inner, outer) {
+  if (inner.length >= outer.length) return false;
+  for (let i = 0; i + inner.length <= outer.length; i++) {
+    if (inner.every((key, j) => outer[i + j] === key)) return true;
+  }
+  return false;
+}
+
+/**
+ * Find tool-call sequences repeated across sessions, ranked by calls saved
+ */
+function minePatterns(sequences, options = {}) {
+  const minLength = options.minLength || 2;
+  const maxLength = options.maxLength || 8;
+  const minOccurrences = options.minOccurrences || 3;
+  const minSessions = options.minSessions || 2;
+  const limit = options.limit || 20;
+
+  const candidates = new Map();
+
+  for (const seq of sequences) {
+    const sessionId = path.basename(seq.file || 'unknown', '.jsonl');
+    // Last matched end index per gram, so overlapping matches are counted once
+    const lastEnd = new Map();
+    let offset = 0;
+
+    for (const segment of splitSegments(seq.steps)) {
+      const keys = segment.map(step => step.key);
+
+      for (let n = minLength; n <= Math.min(maxLength, keys.length); n++) {
+        for (let i = 0; i + n <= keys.length; i++) {
+          const gram = keys.slice(i, i + n);
+          // Repeating a single call (e.g. retries) is not a chain worth merging
+          if (gram.every(key => key === gram[0])) continue;
+
+          const gramKey = gram.join('\u0000');
+          const start = offset + i;
+          if (lastEnd.has(gramKey) && lastEnd.get(gramKey) > start) continue;
+          lastEnd.set(gramKey, start + n);
+
+          let candidate = candidates.get(gramKey);
+          if (!candidate) {
+            candidate = { steps: gram, occurrences: 0, sessions: new Set(), projects: new Set(), toolUseIds: [] };
+            candidates.set(gramKey, candidate);
+          }
+          candidate.occurrences++;
+          candidate.sessions.add(sessionId);
+          if (seq.project) candidate.projects.add(seq.project);
+          candidate.toolUseIds.push(segment[i].toolUseId);
+        }
+      }
+
+      offset += keys.length;
+    }
+  }
+
+  const frequent = Array.from(candidates.values())
+    .filter(c => c.occurrences >= minOccurrences && c.sessions.size >= minSessions);
+
+  // Drop sequences fully explained by a longer sequence that occurs as often
+  const maximal = frequent.filter(c => !frequent.some(other =>
+    other !== c && other.occurrences >= c.occurrences && isSubsequence(c.steps, other.steps)
+  ));
+
+  return maximal
+    .map(c => {
+      const tools = new Set(c.steps.map(key => key.split(':')[0]));
+      let kind = 'workflow';
+      if (tools.size === 1 && tools.has('Bash')) kind = 'quick-command';
+      else if (tools.size === 1 && tools.has('Read')) kind = 'file-merge';
+
+      return {
+        kind,
+        steps: c.steps,
+        length: c.steps.length,
+        occurrences: c.occurrences,
+        sessions: Array.from(c.sessions),
+        projects: Array.from(c.projects), // Used in several projects: a global alias rather than a project script
+        toolUseIds: c.toolUseIds, // First call of each occurrence
+        savedCalls: (c.steps.length - 1) * c.occurrences
+      };
+    })
+    .sort((a, b) => b.savedCalls - a.savedCalls || b.occurrences - a.occurrences || b.length - a.length)
+    .slice(0, limit);
+}
+
+module.exports = {
+  minePatterns,
+  splitSegments,
+  formatStepLabel
+};
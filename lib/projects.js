@@ -0,0 +1,92 @@
+/**
+ * Project directories under ~/.claude/projects and per-project subtotals
+ * Claude Code stores each project's conversations in a directory named after
+ * the project path with slashes replaced by dashes (/Users/me/app -> -Users-me-app)
+ */
+
+const os = require('os');
+const path = require('path');
+const { sumUsage } = require('./json-report');
+const { flattenSequences, getSessionMessages } = require('./subagents');
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+/**
+ * Directory name Claude Code uses for a project path
+ */
+function encodeProjectPath(projectPath) {
+  return projectPath.replace(/\//g, '-');
+}
+
+/**
+ * Convert a --projects glob into a regex over project directory names.
+ * Paths (starting with / or ~) must match the whole name; other patterns match anywhere.
+ * Since slashes are encoded as dashes, * and ** both match across path segments.
+ */
+function projectGlobToRegExp(pattern) {
+  const isPath = pattern.startsWith('/') || pattern.startsWith('~');
+  const encoded = isPath ? encodeProjectPath(path.resolve(expandHome(pattern))) : pattern;
+  const source = encoded
+    .split(/(\*+|\?)/)
+    .map(part => {
+      if (part.startsWith('*')) return '.*';
+      if (part === '?') return '.';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(isPath ? `^${source}$` : source);
+}
+
+/**
+ * Project path for display: the most common session cwd, else the directory name
+ */
+function getProjectPath(id, sequences) {
+  const counts = new Map();
+  for (const seq of sequences) {
+    if (seq.cwd) counts.set(seq.cwd, (counts.get(seq.cwd) || 0) + 1);
+  }
+  let best = null;
+  for (const [cwd, count] of counts) {
+    if (!best || count > best.count) best = { cwd, count };
+  }
+  return best ? best.cwd : id;
+}
+
+/**
+ * Subtotals per project (conversations, tool calls, usage, cost), most expensive first
+ */
+function summarizeProjects(sequences, costs) {
+  const byProject = new Map();
+  for (const seq of sequences) {
+    const id = seq.project || 'unknown';
+    if (!byProject.has(id)) byProject.set(id, []);
+    byProject.get(id).push(seq);
+  }
+
+  const sessionCosts = new Map((costs?.bySession || []).map(s => [s.file, s.cost]));
+
+  return Array.from(byProject.entries())
+    .map(([id, seqs]) => ({
+      id,
+      path: getProjectPath(id, seqs),
+      conversations: seqs.length,
+      toolCalls: flattenSequences(seqs).reduce((sum, seq) => sum + (seq.steps || []).filter(step => step.type === 'tool').length, 0),
+      usage: sumUsage(seqs.flatMap(getSessionMessages)),
+      cost: costs ? seqs.reduce((sum, seq) => sum + (sessionCosts.get(seq.file) || 0), 0) : null
+    }))
+    .sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.conversations - a.conversations);
+}
+
+module.exports = {
+  expandHome,
+  encodeProjectPath,
+  projectGlobToRegExp,
+  summarizeProjects
+};
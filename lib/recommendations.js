@@ -0,0 +1,113 @@
+/**
+ * Turn detected patterns into ranked token-saving recommendations
+ * Shape matches TokenOptimizer.formatHookOutput()
+ */
+
+const { formatStepLabel } = require('./pattern-miner');
+
+/**
+ * Average per-call cost of each action key across all sessions.
+ * callTokens: tokens to issue the call (message output + input payload)
+ * resultTokens: tokens of the tool output fed back into context
+ */
+function collectStepCosts(sequences) {
+  const totals = new Map();
+
+  for (const seq of sequences) {
+    const outputByMessage = new Map();
+    for (const message of seq.messages || []) {
+      outputByMessage.set(message.id, message.usage?.output_tokens || 0);
+    }
+
+    for (const step of seq.steps || []) {
+      if (step.type !== 'tool') continue;
+      const stats = totals.get(step.key) || { count: 0, callTokens: 0, resultTokens: 0 };
+      stats.count++;
+      stats.callTokens += (outputByMessage.get(step.messageId) || 0) + (step.inputTokens || 0);
+      stats.resultTokens += step.outputTokens || 0;
+      totals.set(step.key, stats);
+    }
+  }
+
+  const costs = new Map();
+  for (const [key, stats] of totals) {
+    costs.set(key, {
+      callTokens: Math.round(stats.callTokens / stats.count),
+      resultTokens: Math.round(stats.resultTokens / stats.count)
+    });
+  }
+  return costs;
+}
+
+/**
+ * Human-readable name for a pattern
+ */
+function getPatternName(pattern) {
+  const labels = pattern.steps.map(key => formatStepLabel(key).replace(/^\w+: /, ''));
+  let name;
+  if (pattern.kind === 'quick-command') {
+    name = labels.join(' && ');
+  } else if (pattern.kind === 'file-merge') {
+    name = `Merge reads: ${labels.map(file => file.split('/').pop()).join(' + ')}`;
+  } else {
+    name = pattern.steps.map(key => formatStepLabel(key)).join(' → ');
+  }
+  return name.length > 80 ? name.substring(0, 77) + '...' : name;
+}
+
+/**
+ * Whether the steps of one chain appear contiguously in another
+ */
+function containsChain(steps, chain) {
+  for (let i = 0; i + chain.length <= steps.length; i++) {
+    if (chain.every((key, j) => steps[i + j] === key)) return true;
+  }
+  return false;
+}
+
+/**
+ * Build recommendations from mined patterns, highest savings first.
+ * A helper replaces N calls with one: results are still read, call overhead is paid once.
+ * Chains overlapping a higher-ranked one (one contains the other) save the same calls twice, so they are dropped.
+ */
+function buildRecommendations(patterns, sequences) {
+  const costs = collectStepCosts(sequences);
+
+  const ranked = patterns
+    .map(pattern => {
+      const stepCosts = pattern.steps.map(key => costs.get(key) || { callTokens: 0, resultTokens: 0 });
+      const resultTokens = stepCosts.reduce((sum, c) => sum + c.resultTokens, 0);
+      const callTokens = stepCosts.map(c => c.callTokens);
+      const currentTokens = resultTokens + callTokens.reduce((sum, t) => sum + t, 0);
+      const optimizedTokens = resultTokens + Math.max(...callTokens);
+
+      return {
+        pattern_name: getPatternName(pattern),
+        kind: pattern.kind,
+        frequency: pattern.occurrences,
+        current_tokens: currentTokens,
+        optimized_tokens: optimizedTokens,
+        steps: pattern.steps,
+        sessions: pattern.sessions
+      };
+    })
+    .filter(r => r.current_tokens > r.optimized_tokens)
+    .sort((a, b) =>
+      (b.current_tokens - b.optimized_tokens) * b.frequency -
+      (a.current_tokens - a.optimized_tokens) * a.frequency
+    );
+
+  const kept = [];
+  for (const recommendation of ranked) {
+    const overlaps = kept.some(r =>
+      containsChain(r.steps, recommendation.steps) || containsChain(recommendation.steps, r.steps)
+    );
+    if (!overlaps) kept.push(recommendation);
+  }
+  return kept;
+}
+
+module.exports = {
+  buildRecommendations,
+  getPatternName
+};
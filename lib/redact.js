@@ -0,0 +1,150 @@
+/**
+ * Secret and PII redaction
+ * Applied to processed conversations in the worker (commands, MCP parameters, user
+ * messages and the timeline text), so reports, caches, exports and the prompt sent to
+ * Claude never contain the original values
+ */
+
+const fs = require('fs');
+
+const MODES = ['default', 'strict', 'off'];
+const MARKER = '[REDACTED';
+
+/**
+ * Built-in detectors. `keep` is the number of leading capture groups kept
+ * (e.g. the `Bearer ` before a token).
+ */
+const DETECTORS = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'api-key', pattern: /\b(?:sk|rk|pk)[-_](?:(?:live|test|proj)[-_])?(?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{20,}/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { name: 'gitlab-token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { name: 'slack-token', pattern: /\bxox[abeprs]-[A-Za-z0-9-]{10,}/g },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: 'npm-token', pattern: /\bnpm_[A-Za-z0-9]{36}/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'aws-secret-key', pattern: /(aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40,}/gi, keep: 1 },
+  { name: 'bearer-token', pattern: /(\b(?:Bearer|Token|Basic)\s+)[A-Za-z0-9._~+/-]{8,}=*/g, keep: 1 },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/g },
+  { name: 'password', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi, keep: 1 },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b(?!:)/g }
+];
+
+/**
+ * Extra detectors for --redact=strict: anything assigned to a secret-looking name,
+ * long random-looking strings, and IP addresses
+ */
+const STRICT_DETECTORS = [
+  {
+    name: 'secret',
+    pattern: /(\b[\w-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?|auth)["']?\s*[=:]\s*["']?)(?!\[REDACTED)[^\s"'&,;)]+/gi,
+    keep: 1
+  },
+  { name: 'token', pattern: /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g },
+  { name: 'ip-address', pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g }
+];
+
+/**
+ * Compile a user pattern: a regex string or {name, pattern, flags}
+ */
+function compilePattern(entry, index) {
+  const spec = typeof entry === 'string' ? { pattern: entry } : entry;
+  const flags = Array.from(new Set(`${spec.flags || ''}g`)).join('');
+  try {
+    return { name: spec.name || `custom-${index + 1}`, pattern: new RegExp(spec.pattern, flags) };
+  } catch (error) {
+    throw new Error(`Invalid redaction pattern ${JSON.stringify(spec.pattern)}: ${error.message}`);
+  }
+}
+
+/**
+ * Read user patterns from redaction files ({ "patterns": [...] }); missing files are skipped
+ */
+function loadRedactPatterns(files) {
+  const patterns = [];
+  for (const file of files) {
+    if (!file || !fs.existsSync(file)) continue;
+    try {
+      patterns.push(...(JSON.parse(fs.readFileSync(file, 'utf-8')).patterns || []));
+    } catch (error) {
+      throw new Error(`Invalid redaction file ${file}: ${error.message}`);
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Build a redaction function, or null when redaction is off
+ *
+ * @param {Object} [options] - Plain data, so it can be passed to worker threads
+ * @param {string} [options.mode] - 'default', 'strict' or 'off'
+ * @param {Array} [options.patterns] - User patterns (regex strings or {name, pattern, flags})
+ * @returns {Function|null} text => redacted text
+ */
+function createRedactor(options = {}) {
+  const mode = options.mode || 'default';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown redaction mode: ${mode} (expected ${MODES.join(', ')})`);
+  }
+  if (mode === 'off') return null;
+
+  const detectors = [
+    ...DETECTORS,
+    ...(mode === 'strict' ? STRICT_DETECTORS : []),
+    ...(options.patterns || []).map(compilePattern)
+  ];
+
+  return (text) => {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+    for (const detector of detectors) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, (...match) => {
+        const kept = match.slice(1, 1 + (detector.keep || 0)).join('');
+        return `${kept}${MARKER}:${detector.name}]`;
+      });
+    }
+    return result;
+  };
+}
+
+/**
+ * Whether text contains a redacted value
+ */
+function isRedacted(text) {
+  return typeof text === 'string' && text.includes(MARKER);
+}
+
+/**
+ * Redact the text fields of a step in place (tool key, Bash command, user message)
+ */
+function redactStep(step, redact) {
+  if (!redact) return step;
+  if (step.key) step.key = redact(step.key);
+  if (step.command) step.command = redact(step.command);
+  if (step.text) step.text = redact(step.text);
+  return step;
+}
+
+/**
+ * Redact the text fields of a processed conversation (and its subagents) in place
+ */
+function redactSequence(seq, redact) {
+  if (!seq || !redact) return seq;
+  seq.timeline = redact(seq.timeline);
+  for (const step of seq.steps || []) redactStep(step, redact);
+  for (const sub of seq.subagents || []) redactSequence(sub, redact);
+  return seq;
+}
+
+module.exports = {
+  MODES,
+  DETECTORS,
+  STRICT_DETECTORS,
+  loadRedactPatterns,
+  createRedactor,
+  isRedacted,
+  redactStep,
+  redactSequence
+};
@@ -0,0 +1,172 @@
+/**
+ * Redundant file read detection
+ * Tracks the line ranges read from each file within a transcript and flags
+ * reads of content the agent already has: duplicate or overlapping ranges with
+ * no intervening change to the file, and reads right after its own Write
+ */
+
+const path = require('path');
+
+const EDIT_TOOLS = ['Edit', 'MultiEdit', 'NotebookEdit'];
+
+// Commands that cannot change files (unless output is redirected)
+const READ_ONLY_COMMANDS = [
+  'cat', 'head', 'tail', 'less', 'ls', 'tree', 'pwd', 'echo', 'wc', 'which', 'file', 'stat',
+  'grep', 'rg', 'ag', 'find', 'fd', 'jq', 'diff', 'du', 'df', 'env', 'date', 'whoami',
+  'git status', 'git diff', 'git log', 'git show', 'git branch', 'git blame', 'git rev-parse', 'git remote'
+];
+
+/**
+ * Whether a shell command only reads (every part of a chain or pipeline is read-only)
+ */
+function isReadOnlyCommand(command) {
+  if (!command || /(^|[^0-9&>])>(?!&)/.test(command)) return false;
+  return command
+    .split(/&&|\|\||;|\|/)
+    .map(part => part.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .every(part => READ_ONLY_COMMANDS.some(cmd => part === cmd || part.startsWith(`${cmd} `)));
+}
+
+/**
+ * Parse a step range ("L10-L50") into line numbers
+ */
+function parseRange(range) {
+  const match = (range || '').match(/^L(\d+)-L(\d+)$/);
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = Math.max(start, parseInt(match[2], 10));
+  return { start, end };
+}
+
+/**
+ * Number of lines of [start, end] already covered by earlier ranges
+ */
+function countCoveredLines(range, previous) {
+  const overlaps = previous
+    .map(p => ({ start: Math.max(range.start, p.start), end: Math.min(range.end, p.end) }))
+    .filter(o => o.start <= o.end)
+    .sort((a, b) => a.start - b.start);
+
+  let covered = 0;
+  let lastEnd = range.start - 1;
+  for (const o of overlaps) {
+    const start = Math.max(o.start, lastEnd + 1);
+    if (o.end >= start) covered += o.end - start + 1;
+    lastEnd = Math.max(lastEnd, o.end);
+  }
+  return covered;
+}
+
+/**
+ * Find redundant reads in one transcript's steps
+ */
+function detectInTranscript(seq) {
+  const reads = new Map(); // File -> ranges read since the file last changed
+  const written = new Set(); // Files whose current content the agent wrote itself
+  const findings = [];
+  let totalReads = 0;
+
+  for (const step of seq.steps || []) {
+    if (step.type !== 'tool') continue;
+
+    if (step.tool === 'Read') {
+      const range = parseRange(step.range);
+      if (!range) continue;
+      totalReads++;
+
+      const previous = reads.get(step.file) || [];
+      const lines = range.end - range.start + 1;
+      const covered = written.has(step.file) ? lines : countCoveredLines(range, previous);
+
+      if (covered > 0) {
+        const kind = written.has(step.file) ? 'after-write' : covered === lines ? 'duplicate' : 'overlap';
+        findings.push({
+          file: step.file,
+          range: step.range,
+          kind,
+          tokens: step.tokens || 0,
+          wastedTokens: Math.round((step.tokens || 0) * covered / lines),
+          toolUseId: step.toolUseId,
+          timestamp: step.timestamp
+        });
+      }
+
+      written.delete(step.file);
+      previous.push({ ...range, toolUseId: step.toolUseId });
+      reads.set(step.file, previous);
+      continue;
+    }
+
+    // Changes invalidate what was read: the file itself, or anything for shell commands and subagents
+    if (step.tool === 'Write') {
+      reads.delete(step.file);
+      written.add(step.file);
+    } else if (EDIT_TOOLS.includes(step.tool)) {
+      reads.delete(step.file);
+      written.delete(step.file);
+    } else if ((step.tool === 'Bash' && !isReadOnlyCommand(step.command)) || step.tool === 'Task') {
+      reads.clear();
+      written.clear();
+    }
+  }
+
+  return { totalReads, findings };
+}
+
+/**
+ * Detect redundant reads across transcripts (each subagent has its own context,
+ * so pass flattened transcripts) and total wasted tokens per file and session
+ */
+function detectRedundantReads(transcripts) {
+  const files = new Map();
+  const sessions = [];
+  let totalReads = 0;
+
+  for (const seq of transcripts) {
+    const result = detectInTranscript(seq);
+    totalReads += result.totalReads;
+    if (result.findings.length === 0) continue;
+
+    const id = path.basename(seq.file || 'unknown', '.jsonl');
+    sessions.push({
+      id,
+      file: seq.file,
+      redundantReads: result.findings.length,
+      wastedTokens: result.findings.reduce((sum, f) => sum + f.wastedTokens, 0),
+      findings: result.findings
+    });
+
+    for (const finding of result.findings) {
+      const stats = files.get(finding.file) || {
+        file: finding.file,
+        redundantReads: 0,
+        wastedTokens: 0,
+        byKind: { duplicate: 0, overlap: 0, 'after-write': 0 },
+        sessions: new Set()
+      };
+      stats.redundantReads++;
+      stats.wastedTokens += finding.wastedTokens;
+      stats.byKind[finding.kind]++;
+      stats.sessions.add(id);
+      files.set(finding.file, stats);
+    }
+  }
+
+  const byFile = Array.from(files.values())
+    .map(stats => ({ ...stats, sessions: Array.from(stats.sessions) }))
+    .sort((a, b) => b.wastedTokens - a.wastedTokens);
+
+  return {
+    totalReads,
+    redundantReads: byFile.reduce((sum, f) => sum + f.redundantReads, 0),
+    wastedTokens: byFile.reduce((sum, f) => sum + f.wastedTokens, 0),
+    files: byFile,
+    sessions: sessions.sort((a, b) => b.wastedTokens - a.wastedTokens)
+  };
+}
+
+module.exports = {
+  isReadOnlyCommand,
+  detectRedundantReads
+};
@@ -0,0 +1,170 @@
+/**
+ * Persistent cache of processed conversations
+ * Keyed by file path + size + mtime, so only new or appended conversations are re-processed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the worker's output shape changes to invalidate old caches
+const CACHE_VERSION = 10;
+
+/**
+ * Stat a file (null if it no longer exists)
+ */
+function statFile(filePath) {
+  try {
+    return fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+}
+
+class SequenceCache {
+  /**
+   * @param {string} cacheDir - Directory holding index.json and one result file per conversation
+   * @param {string} optionsKey - Options that change worker output (e.g. tokenizer); mismatches reset the cache
+   */
+  constructor(cacheDir, optionsKey = '') {
+    this.cacheDir = cacheDir;
+    this.indexFile = path.join(cacheDir, 'index.json');
+    this.optionsKey = optionsKey;
+    this.files = {};
+    this.scans = {};
+    this.dirty = false;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Load the index (a missing, corrupt or outdated index starts empty)
+   */
+  load() {
+    try {
+      const index = JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+      if (index.version === CACHE_VERSION && index.optionsKey === this.optionsKey) {
+        this.files = index.files || {};
+        this.scans = index.scans || {};
+      }
+    } catch {
+      this.files = {};
+      this.scans = {};
+    }
+    return this;
+  }
+
+  /**
+   * Result file for a conversation path
+   */
+  getResultFile(filePath) {
+    const hash = crypto.createHash('sha1').update(filePath).digest('hex');
+    return path.join(this.cacheDir, `${hash}.json`);
+  }
+
+  /**
+   * Get cached result: undefined on miss, null for conversations without tool uses
+   */
+  get(filePath) {
+    const cached = this.files[filePath];
+    const stat = statFile(filePath);
+    if (!stat) return undefined;
+
+    if (!cached || cached.size !== stat.size || cached.mtimeMs !== stat.mtimeMs) {
+      this.misses++;
+      return undefined;
+    }
+
+    if (cached.empty) {
+      this.hits++;
+      return null;
+    }
+
+    try {
+      const result = JSON.parse(fs.readFileSync(this.getResultFile(filePath), 'utf-8'));
+      this.hits++;
+      return result;
+    } catch {
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a processed result (null when the conversation has no tool uses)
+   *
+   * @param {string} filePath - Conversation file
+   * @param {Object|null} result - Worker result
+   * @param {fs.Stats} [stat] - The file's stat from before it was processed, so lines
+   *   appended while it was processed make the entry stale instead of being skipped
+   */
+  set(filePath, result, stat = statFile(filePath)) {
+    if (!stat) return;
+
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    if (result) {
+      fs.writeFileSync(this.getResultFile(filePath), JSON.stringify(result));
+    }
+    this.files[filePath] = { size: stat.size, mtimeMs: stat.mtimeMs, empty: !result };
+    this.dirty = true;
+  }
+
+  /**
+   * Whether a conversation has tool uses, from its cached result or an earlier
+   * quick scan (undefined when unknown or the file has changed since)
+   */
+  hasToolUses(filePath) {
+    const stat = statFile(filePath);
+    if (!stat) return undefined;
+
+    const fresh = entry => entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs;
+    if (fresh(this.files[filePath])) return !this.files[filePath].empty;
+    if (fresh(this.scans[filePath])) return this.scans[filePath].toolUses;
+    return undefined;
+  }
+
+  /**
+   * Store the outcome of a quick tool-use scan
+   */
+  setToolUses(filePath, toolUses, stat = statFile(filePath)) {
+    if (!stat) return;
+
+    this.scans[filePath] = { size: stat.size, mtimeMs: stat.mtimeMs, toolUses };
+    this.dirty = true;
+  }
+
+  /**
+   * Write the index, dropping conversations that no longer exist
+   */
+  save() {
+    for (const filePath of Object.keys(this.files)) {
+      if (!fs.existsSync(filePath)) {
+        fs.rmSync(this.getResultFile(filePath), { force: true });
+        delete this.files[filePath];
+        this.dirty = true;
+      }
+    }
+    for (const filePath of Object.keys(this.scans)) {
+      if (!fs.existsSync(filePath)) {
+        delete this.scans[filePath];
+        this.dirty = true;
+      }
+    }
+    if (!this.dirty) return;
+
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    fs.writeFileSync(this.indexFile, JSON.stringify({
+      version: CACHE_VERSION,
+      optionsKey: this.optionsKey,
+      files: this.files,
+      scans: this.scans
+    }));
+    this.dirty = false;
+  }
+}
+
+module.exports = {
+  CACHE_VERSION,
+  SequenceCache,
+  statFile
+};
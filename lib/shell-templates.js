@@ -0,0 +1,336 @@
+/**
+ * Shell command normalization and templating
+ * Splits Bash commands into chains of simple commands, replaces volatile
+ * arguments (ids, hashes, timestamps, paths, ports) with typed placeholders and
+ * clusters commands into templates with the parameter values observed
+ */
+
+const path = require('path');
+
+const OPERATORS = ['&&', '||', '|', ';'];
+
+// Substrings replaced inside any argument, most specific first
+const INLINE_PATTERNS = [
+  { type: 'uuid', pattern: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi },
+  { type: 'timestamp', pattern: /\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?Z?)?/g },
+  { type: 'timestamp', pattern: /(?<![\d.])1\d{9}(?:\d{3})?(?![\d.])/g }, // Unix seconds or milliseconds
+  { type: 'hash', pattern: /(?<![0-9a-z])(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{7,64}(?![0-9a-z])/gi },
+  { type: 'port', pattern: /(?<=(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\]|[a-z0-9-]\.[a-z]{2,}):)\d{2,5}\b/gi },
+  { type: 'number', pattern: /(?<![\d.])\d{4,}(?![\d.])/g }
+];
+
+const PORT_FLAGS = ['-p', '--port', '-P'];
+const HOST_PORT = /^[\w.-]+:\d{2,5}(\/|$)/;
+const PLACEHOLDER = /<(\w+)>/g;
+
+// Tools whose first argument is a subcommand (`git status`, `docker logs`), part of the command's structure
+const SUBCOMMAND_TOOLS = [
+  'git', 'gh', 'npm', 'pnpm', 'yarn', 'bun', 'npx', 'docker', 'docker-compose', 'podman', 'kubectl', 'helm',
+  'cargo', 'go', 'pip', 'pip3', 'poetry', 'uv', 'terraform', 'systemctl', 'brew', 'aws', 'gcloud', 'az'
+];
+// Global options taking a value before the subcommand (`git -C <dir> status`, `kubectl -n <ns> get`)
+const GLOBAL_VALUE_FLAGS = ['-C', '-c', '-n', '--namespace', '--context', '--prefix', '--cwd', '-f', '--file', '-p', '--project-name', '--filter', '-w', '--workspace'];
+
+/**
+ * Split a command into words and operators, honoring quotes and escapes
+ * @returns {Array<{type: 'word'|'op', value: string}>}
+ */
+function tokenizeShell(command) {
+  const tokens = [];
+  let word = '';
+  let inWord = false;
+  let quote = null;
+
+  const flush = () => {
+    if (inWord) tokens.push({ type: 'word', value: word });
+    word = '';
+    inWord = false;
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const c = command[i];
+
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '\\' && quote === '"' && i + 1 < command.length) word += command[++i];
+      else word += c;
+      continue;
+    }
+
+    if (c === '\'' || c === '"') {
+      quote = c;
+      inWord = true;
+    } else if (c === '\\' && i + 1 < command.length) {
+      word += command[++i];
+      inWord = true;
+    } else if (/\s/.test(c)) {
+      flush();
+    } else if (OPERATORS.includes(command.slice(i, i + 2))) {
+      flush();
+      tokens.push({ type: 'op', value: command.slice(i, i + 2) });
+      i++;
+    } else if (OPERATORS.includes(c)) {
+      flush();
+      tokens.push({ type: 'op', value: c });
+    } else {
+      word += c;
+      inWord = true;
+    }
+  }
+
+  flush();
+  return tokens;
+}
+
+/**
+ * Split a command into simple commands: [{ words, operator }] where operator joins it to the next
+ */
+function splitCommandChain(command) {
+  const segments = [];
+  let current = { words: [], operator: null };
+  for (const token of tokenizeShell(command)) {
+    if (token.type === 'op') {
+      current.operator = token.value;
+      if (current.words.length > 0) segments.push(current);
+      current = { words: [], operator: null };
+    } else {
+      current.words.push(token.value);
+    }
+  }
+  if (current.words.length > 0) segments.push(current);
+  return segments;
+}
+
+/**
+ * Replace volatile parts of an argument with typed placeholders (<path>, <hash>, ...)
+ */
+function normalizeArgument(word, previousWord) {
+  if (/^\d+$/.test(word) && PORT_FLAGS.includes(previousWord)) return '<port>';
+  if (/^https?:\/\//.test(word)) return '<url>';
+  if (!HOST_PORT.test(word) && !word.startsWith('-') && (word.includes('/') || word.startsWith('~') || /^[\w.-]+\.[a-z0-9]{1,5}$/i.test(word))) {
+    return '<path>';
+  }
+  if (/^\d+$/.test(word)) return '<number>';
+
+  // --flag=value: keep the flag, normalize the value
+  const flag = word.match(/^(--?[\w-]+=)(.+)$/);
+  if (flag) return flag[1] + normalizeArgument(flag[2], flag[1].slice(0, -1));
+
+  let normalized = word;
+  for (const { type, pattern } of INLINE_PATTERNS) {
+    normalized = normalized.replace(pattern, `<${type}>`);
+  }
+  return normalized;
+}
+
+/**
+ * Position of the subcommand in a simple command's words (-1 if the tool has none)
+ */
+function subcommandIndex(words) {
+  if (!SUBCOMMAND_TOOLS.includes(path.basename(words[0]))) return -1;
+  for (let i = 1; i < words.length; i++) {
+    if (words[i].startsWith('-') || GLOBAL_VALUE_FLAGS.includes(words[i - 1])) continue;
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Normalize a command into a flat token list (command names, subcommands, flags and operators kept)
+ */
+function normalizeCommand(command) {
+  const tokens = [];
+  for (const segment of splitCommandChain(command)) {
+    const subcommand = subcommandIndex(segment.words);
+    segment.words.forEach((word, i) => {
+      const structural = i === 0 || i === subcommand || (word.startsWith('-') && !word.includes('='));
+      tokens.push({
+        raw: word,
+        value: structural ? word : normalizeArgument(word, segment.words[i - 1]),
+        structural
+      });
+    });
+    if (segment.operator) tokens.push({ raw: segment.operator, value: segment.operator, structural: true });
+  }
+  return tokens;
+}
+
+/**
+ * Quote a template word for display when needed
+ */
+function formatWord(word) {
+  return /[\s"'`$]/.test(word) && !/^<\w+>$/.test(word) ? `"${word.replace(/(["\\$`])/g, '\\$1')}"` : word;
+}
+
+/**
+ * Split commands of the same structure into clusters that make one template each.
+ * Arguments that differ as plain literals (`build` vs `test`) keep commands apart;
+ * commands that differ in at most maxVaryingArgs arguments holding typed placeholders
+ * (`worker-<timestamp>-abc` vs `worker-<timestamp>-def`) share a cluster.
+ */
+function clusterCommands(commands, maxVaryingArgs) {
+  const groupBy = (items, keyOf) => {
+    const groups = new Map();
+    for (const item of items) {
+      const key = keyOf(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    return Array.from(groups.values());
+  };
+  const varyingPositions = group => group[0].tokens
+    .map((token, i) => (!token.structural && new Set(group.map(c => c.tokens[i].value)).size > 1 ? i : -1))
+    .filter(i => i !== -1);
+
+  const literal = varyingPositions(commands).filter(i => commands.some(c => !c.tokens[i].value.includes('<')));
+  const clusters = [];
+  for (const group of groupBy(commands, c => literal.map(i => c.tokens[i].value).join('\u0000'))) {
+    if (varyingPositions(group).length <= maxVaryingArgs) {
+      clusters.push(group);
+    } else {
+      clusters.push(...groupBy(group, c => c.tokens.map(t => t.value).join('\u0000')));
+    }
+  }
+  return clusters;
+}
+
+/**
+ * Cluster Bash commands into templates with typed parameters.
+ * Commands first group by structure (command names, subcommands, flags and length),
+ * then by literal arguments; those differing in at most maxVaryingArgs placeholder
+ * arguments merge, with those arguments becoming <arg> parameters.
+ *
+ * @param {Array} transcripts - Processed conversations (flattened with subagents)
+ * @param {Object} [options]
+ * @param {number} [options.minOccurrences] - Minimum commands per template
+ * @param {number} [options.maxVaryingArgs] - Placeholder arguments allowed to differ within a template
+ * @param {number} [options.limit] - Maximum templates returned
+ */
+function extractCommandTemplates(transcripts, options = {}) {
+  const minOccurrences = options.minOccurrences || 3;
+  const maxVaryingArgs = options.maxVaryingArgs || 2;
+  const limit = options.limit || 20;
+
+  // Group commands by structure: command names, flags, operators and arity
+  const groups = new Map();
+  for (const seq of transcripts) {
+    const session = path.basename(seq.file || 'unknown', '.jsonl');
+    for (const step of seq.steps || []) {
+      if (step.type !== 'tool' || step.tool !== 'Bash' || !step.command) continue;
+      if (step.command.includes('<<') || step.command.includes('\n')) continue; // Heredocs and scripts
+
+      const tokens = normalizeCommand(step.command.trim());
+      if (tokens.length === 0) continue;
+      const structure = tokens.map(t => (t.structural ? t.value : '*')).join('\u0000');
+      if (!groups.has(structure)) groups.set(structure, []);
+      groups.get(structure).push({ command: step.command.trim(), session, tokens });
+    }
+  }
+
+  const templates = [];
+  for (const commands of groups.values()) {
+    for (const cluster of clusterCommands(commands, maxVaryingArgs)) {
+      if (cluster.length < minOccurrences) continue;
+      // Only templates whose parameters actually vary are worth a script
+      const template = buildTemplate(cluster);
+      if (template.parameters.some(p => p.distinct > 1)) templates.push(template);
+    }
+  }
+
+  return templates
+    .sort((a, b) => b.count - a.count || b.parameters.length - a.parameters.length)
+    .slice(0, limit);
+}
+
+/**
+ * Common prefix and suffix of differing values, as a pattern (e.g. "worker-<timestamp>-*")
+ */
+function commonPattern(values) {
+  let prefix = values[0];
+  let suffix = values[0];
+  for (const value of values) {
+    while (!value.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    while (!value.endsWith(suffix)) suffix = suffix.slice(1);
+  }
+  const shortest = Math.min(...values.map(v => v.length));
+  if (prefix.length + suffix.length > shortest) suffix = suffix.slice(prefix.length + suffix.length - shortest);
+  return prefix || suffix ? `${prefix}*${suffix}` : null;
+}
+
+/**
+ * Values matched by each placeholder of a normalized word (e.g. "localhost:<port>/health")
+ */
+function extractValues(normalized, raw) {
+  const source = normalized
+    .split(PLACEHOLDER)
+    .map((part, i) => (i % 2 === 1 ? '(.+?)' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  const match = raw.match(new RegExp(`^${source}$`));
+  return match ? match.slice(1) : null;
+}
+
+/**
+ * Build a template from commands of the same structure.
+ * Arguments normalized the same way keep their placeholders (one parameter each);
+ * placeholder arguments that differ after normalization become a single <arg> parameter.
+ */
+function buildTemplate(cluster) {
+  const words = [];
+  const parameters = [];
+  const typeCounts = {};
+
+  const addParameter = (type, position, rawValues, pattern) => {
+    typeCounts[type] = (typeCounts[type] || 0) + 1;
+    const name = typeCounts[type] > 1 ? `${type}${typeCounts[type]}` : type;
+    const counts = new Map();
+    rawValues.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    parameters.push({
+      name,
+      type,
+      position,
+      pattern,
+      distinct: counts.size,
+      values: Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([value]) => value)
+    });
+    return `<${name}>`;
+  };
+
+  cluster[0].tokens.forEach((token, i) => {
+    const values = cluster.map(c => c.tokens[i].value);
+    const rawValues = cluster.map(c => c.tokens[i].raw);
+
+    if (token.structural || (new Set(values).size === 1 && !values[0].includes('<'))) {
+      words.push(formatWord(values[0]));
+      return;
+    }
+
+    const extracted = new Set(values).size === 1 ? rawValues.map(raw => extractValues(values[0], raw)) : [];
+    if (extracted.length > 0 && extracted.every(Boolean)) {
+      let index = 0;
+      words.push(values[0].replace(PLACEHOLDER, (match, type) => {
+        const placeholder = addParameter(type, i, extracted.map(v => v[index]), null);
+        index++;
+        return placeholder;
+      }));
+      return;
+    }
+
+    words.push(addParameter('arg', i, rawValues, commonPattern(values)));
+  });
+
+  return {
+    template: words.join(' '),
+    count: cluster.length,
+    sessions: Array.from(new Set(cluster.map(c => c.session))),
+    parameters,
+    examples: Array.from(new Set(cluster.map(c => c.command))).slice(0, 3)
+  };
+}
+
+module.exports = {
+  tokenizeShell,
+  splitCommandChain,
+  normalizeCommand,
+  normalizeArgument,
+  extractCommandTemplates
+};
@@ -0,0 +1,86 @@
+/**
+ * Subagent (sidechain) stitching
+ * Links Task tool calls to the agent-*.jsonl transcripts of the subagents they
+ * started, so subagent timelines and usage roll up into the parent session
+ */
+
+const path = require('path');
+
+/**
+ * Whether a processed conversation is a subagent transcript
+ */
+function isSubagent(seq) {
+  return Boolean(seq.isSidechain) || path.basename(seq.file || '').startsWith('agent-');
+}
+
+/**
+ * Find the subagent for a Task call: by the agentId in its result, else (older
+ * transcripts) the first unlinked sidechain of the same session that started
+ * while the Task call was running
+ */
+function findSubagent(step, seq, byAgentId, sidechains, linked) {
+  const byId = step.agentId ? byAgentId.get(step.agentId) : null;
+  if (byId && !linked.has(byId)) return byId;
+
+  if (!step.timestamp) return null;
+  return sidechains.find(sub =>
+    !linked.has(sub) &&
+    !sub.agentId &&
+    sub.sessionId && sub.sessionId === seq.sessionId &&
+    sub.startTime && sub.startTime >= step.timestamp &&
+    (!step.resultTimestamp || sub.startTime <= step.resultTimestamp)
+  ) || null;
+}
+
+/**
+ * Nest subagent transcripts under the Task calls that started them.
+ * Linked subagents move to parent.subagents (with the Task's toolUseId and
+ * actionNumber); subagents without a parent stay top-level sessions.
+ */
+function stitchSubagents(sequences) {
+  const sidechains = sequences.filter(isSubagent);
+  if (sidechains.length === 0) return sequences;
+
+  const byAgentId = new Map(sidechains.filter(sub => sub.agentId).map(sub => [sub.agentId, sub]));
+  const linked = new Set();
+  const stitched = new Map();
+
+  for (const seq of sequences) {
+    if (isSubagent(seq)) continue;
+
+    const subagents = [];
+    for (const step of seq.steps || []) {
+      if (step.type !== 'tool' || step.tool !== 'Task') continue;
+      const sub = findSubagent(step, seq, byAgentId, sidechains, linked);
+      if (!sub) continue;
+      linked.add(sub);
+      subagents.push({ ...sub, toolUseId: step.toolUseId, parentActionNumber: step.actionNumber || null });
+    }
+    if (subagents.length > 0) stitched.set(seq, { ...seq, subagents });
+  }
+
+  return sequences
+    .filter(seq => !linked.has(seq))
+    .map(seq => stitched.get(seq) || seq);
+}
+
+/**
+ * A session followed by its subagents (recursively), for per-transcript analyses
+ */
+function flattenSequences(sequences) {
+  return sequences.flatMap(seq => [seq, ...flattenSequences(seq.subagents || [])]);
+}
+
+/**
+ * Messages of a session including those of its subagents
+ */
+function getSessionMessages(seq) {
+  return [...(seq.messages || []), ...(seq.subagents || []).flatMap(getSessionMessages)];
+}
+
+module.exports = {
+  isSubagent,
+  stitchSubagents,
+  flattenSequences,
+  getSessionMessages
+};
@@ -0,0 +1,141 @@
+/**
+ * Pluggable token estimation for tool inputs and outputs
+ *
+ * Estimators:
+ * - 'bpe' (default): byte-pair encoding with the bundled Claude tokenizer vocabulary (lib/bpe-tokenizer.js)
+ * - 'estimate': faster approximation without a vocabulary. Splits text with a GPT/Claude-like
+ *   pre-tokenizer and charges each piece by how BPE vocabularies typically merge it (short
+ *   words = 1 token, identifiers split on case/underscore, CJK ~1 token per char)
+ * - 'heuristic': UTF-8 bytes / 4, also the fallback if an estimator throws
+ * - '<path>': module exporting countTokens(text) or a function, e.g. a wrapper around
+ *   another tokenizer package
+ */
+
+const path = require('path');
+const bpeTokenizer = require('./bpe-tokenizer');
+
+// Pre-tokenizer in the style of BPE tokenizers: contractions, words, 1-3 digit groups,
+// punctuation runs, whitespace runs
+const PRETOKENIZE_PATTERN = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+/gu;
+const SUBWORD_PATTERN = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])|[^A-Za-z]+/g;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+/**
+ * Get UTF-8 byte size of text (objects are measured as JSON)
+ */
+function getByteSize(text) {
+  if (!text) return 0;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  return Buffer.byteLength(str, 'utf8');
+}
+
+/**
+ * Fallback: ~4 bytes per token
+ */
+function countTokensHeuristic(text) {
+  return Math.ceil(getByteSize(text) / 4);
+}
+
+/**
+ * Tokens for a single pre-tokenized piece
+ */
+function countPieceTokens(piece) {
+  // Whitespace runs (indentation) merge into few tokens
+  if (/^\s+$/.test(piece)) return Math.ceil(piece.length / 8);
+
+  const word = piece.startsWith(' ') ? piece.slice(1) : piece;
+
+  if (/^[\x00-\x7f]+$/.test(word)) {
+    if (/^\d+$/.test(word)) return 1;
+    if (!/[A-Za-z]/.test(word)) return Math.ceil(word.length / 2); // Punctuation runs
+    // Identifiers split on camelCase/underscore boundaries; long subwords split further
+    const subwords = word.match(SUBWORD_PATTERN) || [word];
+    return subwords.reduce((sum, sub) => sum + Math.max(1, Math.ceil(sub.length / 6)), 0);
+  }
+
+  // CJK is roughly one token per character, other scripts ~3 UTF-8 bytes per token
+  const cjkChars = (word.match(CJK_PATTERN) || []).length;
+  const rest = word.replace(CJK_PATTERN, '');
+  return cjkChars + Math.ceil(getByteSize(rest) / 3);
+}
+
+/**
+ * Bundled estimate from pre-tokenized pieces
+ */
+function countTokensEstimate(text) {
+  if (!text) return 0;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  let tokens = 0;
+  for (const match of str.matchAll(PRETOKENIZE_PATTERN)) {
+    tokens += countPieceTokens(match[0]);
+  }
+  return tokens;
+}
+
+/**
+ * Load a custom estimator module (exports countTokens or a function)
+ */
+function loadCustomEstimator(modulePath) {
+  let loaded;
+  try {
+    loaded = require(path.resolve(modulePath));
+  } catch (error) {
+    throw new Error(`Unknown tokenizer ${modulePath} (expected 'bpe', 'estimate', 'heuristic' or a module path): ${error.message.split('\n')[0]}`);
+  }
+  const countTokens = typeof loaded === 'function' ? loaded : loaded.countTokens;
+  if (typeof countTokens !== 'function') {
+    throw new Error(`Tokenizer module must export countTokens(text): ${modulePath}`);
+  }
+  return countTokens;
+}
+
+/**
+ * Create an estimator for a spec ('bpe', 'estimate', 'heuristic' or module path).
+ * Falls back to the heuristic if the chosen estimator throws (e.g. the vocabulary is missing).
+ */
+function createTokenEstimator(spec = 'bpe') {
+  let countTokens;
+  if (spec === 'heuristic') {
+    countTokens = countTokensHeuristic;
+  } else if (spec === 'estimate') {
+    countTokens = countTokensEstimate;
+  } else if (!spec || spec === 'bpe') {
+    countTokens = bpeTokenizer.countTokens;
+  } else {
+    countTokens = loadCustomEstimator(spec);
+  }
+
+  return (text) => {
+    if (!text) return 0;
+    try {
+      return countTokens(typeof text === 'string' ? text : JSON.stringify(text));
+    } catch {
+      return countTokensHeuristic(text);
+    }
+  };
+}
+
+let activeEstimator = createTokenEstimator('bpe');
+
+/**
+ * Select the estimator used by estimateTokens()
+ */
+function setTokenEstimator(spec) {
+  activeEstimator = createTokenEstimator(spec);
+}
+
+/**
+ * Estimate tokens for text with the active estimator
+ */
+function estimateTokens(text) {
+  return activeEstimator(text);
+}
+
+module.exports = {
+  getByteSize,
+  estimateTokens,
+  setTokenEstimator,
+  createTokenEstimator,
+  countTokensEstimate,
+  countTokensHeuristic
+};
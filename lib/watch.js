@@ -0,0 +1,373 @@
+/**
+ * Live session analysis (`ato watch`)
+ * Tails conversation files as Claude Code appends to them, feeds new lines through the
+ * same state and timeline builder as conversation-worker.js, and raises alerts while the
+ * session is still running: repeated command chains, large files read again and again,
+ * and commands that keep failing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createConversationState, collectEntryInfo, createTimelineBuilder } = require('../conversation-worker');
+const { getCommandFamily } = require('./bash-failures');
+const { redactStep } = require('./redact');
+const { DEFAULT_CONFIG, loadFormatters } = require('./config');
+
+const MAX_CHAIN_LENGTH = 8;
+const CHAIN_SETTLE_MS = 20000; // Report a repeated chain if no further command extends it
+const RESULT_TIMEOUT_MS = 10 * 60 * 1000; // Longest Bash timeout; a call still without a result is treated as abandoned
+const LARGE_READ_BYTES = 10 * 1024;
+const NEWLINE = 0x0a;
+
+/**
+ * Local calendar day of a timestamp (YYYY-MM-DD)
+ */
+function localDay(timestamp) {
+  const date = timestamp ? new Date(timestamp) : new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+const formatKB = bytes => `${Math.max(1, Math.round(bytes / 1024))}KB`;
+const commandLabel = key => key.replace(/^Bash: /, '').split('\n')[0];
+
+/**
+ * One conversation file read incrementally: each call to readAppended() parses the lines
+ * appended since the last call and returns the steps they produced
+ */
+class LiveTranscript {
+  /**
+   * @param {string} filePath - Conversation file
+   * @param {Object} [config] - Timeline settings (lib/config.js)
+   * @param {Array} [formatters] - Formatter modules loaded from the config
+   */
+  constructor(filePath, config, formatters) {
+    this.filePath = filePath;
+    this.id = path.basename(filePath, '.jsonl');
+    this.config = config;
+    this.formatters = formatters;
+    this.reset();
+  }
+
+  reset() {
+    this.offset = 0;
+    this.remainder = Buffer.alloc(0);
+    this.state = createConversationState();
+    this.builder = createTimelineBuilder(this.state, this.filePath, this.config, this.formatters);
+    this.queue = []; // Entries waiting for the results of their tool calls
+    this.stepCount = 0;
+    this.malformedLines = 0;
+  }
+
+  /**
+   * Parse what was appended to the file and return the new steps
+   * @param {Object} [options]
+   * @param {boolean} [options.flushWaiting] - Add tool calls still waiting for their results (see drainQueue)
+   */
+  async readAppended(options = {}) {
+    const { size } = await fs.promises.stat(this.filePath);
+    // Rewritten or truncated: start over
+    if (size < this.offset) this.reset();
+    if (size === this.offset && !options.flushWaiting) return [];
+
+    if (size > this.offset) {
+      const stream = fs.createReadStream(this.filePath, { start: this.offset, end: size - 1 });
+      for await (const chunk of stream) {
+        let data = Buffer.concat([this.remainder, chunk]);
+        let newline;
+        while ((newline = data.indexOf(NEWLINE)) !== -1) {
+          this.addLine(data.subarray(0, newline).toString('utf-8'));
+          data = data.subarray(newline + 1);
+        }
+        // A line still being written stays until its newline arrives
+        this.remainder = Buffer.from(data);
+      }
+      this.offset = size;
+    }
+    this.drainQueue(options.flushWaiting);
+
+    const steps = this.builder.steps.slice(this.stepCount);
+    this.stepCount = this.builder.steps.length;
+    return steps;
+  }
+
+  addLine(line) {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      this.malformedLines++;
+      return;
+    }
+    collectEntryInfo(entry, this.state);
+    this.queue.push(entry);
+  }
+
+  /**
+   * Add queued entries to the timeline in order, stopping at a tool call whose result
+   * has not been written yet (the timeline needs results for sizes and exit codes).
+   * A call is no longer waited for once the session has moved on without its result,
+   * or when `flushWaiting` is set (the result timed out).
+   */
+  drainQueue(flushWaiting = false) {
+    while (this.queue.length > 0) {
+      const entry = this.queue[0];
+      const content = entry.type === 'assistant' && Array.isArray(entry.message?.content) ? entry.message.content : [];
+      const waiting = content.some(block => block.type === 'tool_use' && !this.state.toolResults.has(block.id));
+      if (waiting && !flushWaiting && !this.movedOn()) return;
+      this.builder.add(this.queue.shift());
+    }
+  }
+
+  /**
+   * Whether entries queued after the first one show the session went on: a user prompt,
+   * or an assistant turn after tool results (parallel calls are written before their results)
+   */
+  movedOn() {
+    let sawResult = false;
+    for (const entry of this.queue.slice(1)) {
+      const content = Array.isArray(entry.message?.content) ? entry.message.content : [];
+      if (entry.type === 'user') {
+        const isResult = content.some(block => block.type === 'tool_result');
+        if (!isResult && !entry.isMeta) return true;
+        sawResult = sawResult || isResult;
+      } else if (entry.type === 'assistant' && sawResult) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * Turns new steps into alerts. Chain counts cover every watched transcript of the
+ * current day; read and failure counts are per transcript.
+ */
+class AlertTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minOccurrences] - Chain repeats before alerting (default: 3)
+   * @param {number} [options.minReads] - Reads of the same large file before alerting (default: 3)
+   * @param {number} [options.minFailures] - Consecutive failures of a command before alerting (default: 3)
+   * @param {number} [options.largeReadBytes] - Smallest read that counts as large (default: 10KB)
+   */
+  constructor(options = {}) {
+    this.minOccurrences = options.minOccurrences || 3;
+    this.minReads = options.minReads || 3;
+    this.minFailures = options.minFailures || 3;
+    this.largeReadBytes = options.largeReadBytes || LARGE_READ_BYTES;
+    this.day = localDay();
+    this.chainCounts = new Map();
+    this.transcripts = new Map();
+  }
+
+  transcriptState(id) {
+    if (!this.transcripts.has(id)) {
+      this.transcripts.set(id, { run: [], pending: null, reads: new Map(), failures: new Map() });
+    }
+    return this.transcripts.get(id);
+  }
+
+  /**
+   * Alerts for the new steps of a transcript
+   * @returns {Array<{kind: string, session: string, timestamp: string, message: string}>}
+   */
+  check(transcript, steps) {
+    const state = this.transcriptState(transcript.id);
+    const alerts = [];
+    const alert = (kind, step, message) => alerts.push({ kind, session: transcript.id, timestamp: step.timestamp || null, message });
+
+    for (const step of steps) {
+      const isBash = step.type === 'tool' && step.tool === 'Bash';
+      if (!isBash) {
+        state.run = [];
+        alerts.push(...this.flushChain(transcript.id, state));
+      }
+      if (step.type === 'user') state.failures.clear();
+      if (step.type !== 'tool') continue;
+
+      if (isBash) alerts.push(...this.checkChain(transcript.id, state, step));
+      if (isBash) this.checkFailure(state, step, alert);
+      if (step.tool === 'Read' && step.file) this.checkRead(transcript, state, step, alert);
+    }
+    return alerts;
+  }
+
+  /**
+   * Count the chains ending at this command. The alert for the longest repeated chain
+   * waits until the chain stops growing, so a 4-command chain gives one alert, not three.
+   */
+  checkChain(id, state, step) {
+    // The day comes from the clock, so a skewed timestamp can't move "today"
+    const today = localDay();
+    if (today !== this.day) {
+      this.day = today;
+      this.chainCounts.clear();
+    }
+    if (localDay(step.timestamp) !== today) return []; // Other days don't count towards today
+
+    state.run.push(step.key);
+    if (state.run.length > MAX_CHAIN_LENGTH) state.run.shift();
+    let best = null;
+    for (let length = 2; length <= Math.min(state.run.length, MAX_CHAIN_LENGTH); length++) {
+      const keys = state.run.slice(-length);
+      const chain = keys.join('\n\u0000');
+      const count = (this.chainCounts.get(chain) || 0) + 1;
+      this.chainCounts.set(chain, count);
+      if (count >= this.minOccurrences) best = { keys, count, timestamp: step.timestamp };
+    }
+
+    const pending = state.pending;
+    if (pending && best && best.keys.length === pending.keys.length + 1) {
+      state.pending = best;
+      return [];
+    }
+    const alerts = this.flushChain(id, state);
+    state.pending = best;
+    return alerts;
+  }
+
+  /**
+   * Report the pending chain of a transcript (e.g. when the session went quiet)
+   */
+  flush(id) {
+    return this.flushChain(id, this.transcriptState(id));
+  }
+
+  flushChain(id, state) {
+    const pending = state.pending;
+    state.pending = null;
+    if (!pending) return [];
+    return [{
+      kind: 'chain',
+      session: id,
+      timestamp: pending.timestamp,
+      message: `same ${pending.keys.length}-command chain executed ${ordinal(pending.count)} time today: ${pending.keys.map(commandLabel).join(' → ')}`
+    }];
+  }
+
+  checkRead(transcript, state, step, alert) {
+    const stats = state.reads.get(step.file) || { reads: 0, bytes: 0, tokens: 0 };
+    stats.reads++;
+    stats.bytes = Math.max(stats.bytes, step.outputBytes || 0);
+    stats.tokens += step.outputTokens || 0;
+    state.reads.set(step.file, stats);
+    if (stats.reads >= this.minReads && stats.bytes >= this.largeReadBytes) {
+      const cwd = transcript.state.session.cwd;
+      const file = cwd && step.file.startsWith(cwd + path.sep) ? path.relative(cwd, step.file) : step.file;
+      alert('read', step, `read ${file} (${formatKB(stats.bytes)}) ${stats.reads} times this session (~${stats.tokens} tokens)`);
+    }
+  }
+
+  checkFailure(state, step, alert) {
+    const family = getCommandFamily(step.command);
+    if (!family) return;
+    if ((step.exitCode || 0) === 0) {
+      state.failures.delete(family);
+      return;
+    }
+    const failures = (state.failures.get(family) || 0) + 1;
+    state.failures.set(family, failures);
+    if (failures >= this.minFailures) {
+      alert('failure', step, `\`${family}\` failed ${failures} times in a row (exit ${step.exitCode})`);
+    }
+  }
+}
+
+/**
+ * Watch conversation directories and report alerts as files are appended to.
+ * Files modified today are read first without alerts, so chain counts start from today's history.
+ * Steps from before the watch started are only counted, never alerted on, so an older session
+ * first seen when it is resumed does not replay its history as alerts.
+ *
+ * @param {Array<string>} dirs - Conversation directories (~/.claude/projects/<project>)
+ * @param {Object} options
+ * @param {Function} options.onAlert - Called with each alert
+ * @param {Function} [options.onError] - Called with errors reading a file
+ * @param {Object} [options.alerts] - AlertTracker options
+ * @param {Function} [options.redact] - Redaction applied to new steps before they are checked
+ * @param {Object} [options.config] - Timeline settings (lib/config.js)
+ * @returns {Promise<{close: Function, transcripts: Map}>}
+ */
+async function watchConversations(dirs, options) {
+  const tracker = new AlertTracker(options.alerts);
+  const config = options.config || DEFAULT_CONFIG;
+  const formatters = loadFormatters(config);
+  const transcripts = new Map();
+  const busy = new Map(); // File -> read in progress (reads of one file never overlap)
+  const settleTimers = new Map();
+  const resultTimers = new Map(); // File -> flush of tool calls whose results never arrived
+  const onError = options.onError || (() => {});
+  const startedAt = Date.now();
+  const isHistory = step => Boolean(step.timestamp) && new Date(step.timestamp).getTime() < startedAt;
+
+  const update = (filePath, silent, flushWaiting = false) => {
+    if (!filePath.endsWith('.jsonl')) return Promise.resolve();
+    const previous = busy.get(filePath) || Promise.resolve();
+    const next = previous.then(async () => {
+      if (!transcripts.has(filePath)) transcripts.set(filePath, new LiveTranscript(filePath, config, formatters));
+      const transcript = transcripts.get(filePath);
+      const steps = (await transcript.readAppended({ flushWaiting })).map(step => redactStep(step, options.redact));
+
+      clearTimeout(resultTimers.get(filePath));
+      if (transcript.queue.length > 0) {
+        const timer = setTimeout(() => update(filePath, false, true), RESULT_TIMEOUT_MS);
+        timer.unref();
+        resultTimers.set(filePath, timer);
+      }
+
+      // History only counts towards later alerts, nothing to report
+      const newIndex = silent ? -1 : steps.findIndex(step => !isHistory(step));
+      const historyEnd = newIndex === -1 ? steps.length : newIndex;
+      if (historyEnd > 0) {
+        tracker.check(transcript, steps.slice(0, historyEnd));
+        tracker.flush(transcript.id);
+      }
+      if (silent) return;
+      tracker.check(transcript, steps.slice(historyEnd)).forEach(options.onAlert);
+
+      clearTimeout(settleTimers.get(filePath));
+      const timer = setTimeout(() => tracker.flush(transcript.id).forEach(options.onAlert), CHAIN_SETTLE_MS);
+      timer.unref();
+      settleTimers.set(filePath, timer);
+    }).catch(error => {
+      if (error.code !== 'ENOENT') onError(error, filePath);
+    });
+    busy.set(filePath, next);
+    return next;
+  };
+
+  const today = localDay();
+  for (const dir of dirs) {
+    for (const file of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, file);
+      if (!file.endsWith('.jsonl')) continue;
+      if (localDay(fs.statSync(filePath).mtime) === today) await update(filePath, true);
+    }
+  }
+
+  const watchers = dirs.map(dir => fs.watch(dir, (event, file) => {
+    if (file) update(path.join(dir, file.toString()), false);
+  }));
+
+  return {
+    transcripts,
+    close: () => {
+      watchers.forEach(watcher => watcher.close());
+      settleTimers.forEach(timer => clearTimeout(timer));
+      resultTimers.forEach(timer => clearTimeout(timer));
+    }
+  };
+}
+
+module.exports = {
+  LiveTranscript,
+  AlertTracker,
+  watchConversations
+};
@@ -0,0 +1,105 @@
+/**
+ * Fixed-size pool of reusable worker threads
+ * Workers are started on demand, handle one task at a time and are replaced if they crash
+ */
+
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+  /**
+   * @param {string} workerFile - Worker script; it answers each task message with {id, success, ...}
+   * @param {Object} [options]
+   * @param {number} [options.size] - Maximum number of workers
+   * @param {Object} [options.workerData] - Passed to every worker on startup
+   * @param {number} [options.retries] - Times a task is retried on a fresh worker after a crash
+   */
+  constructor(workerFile, options = {}) {
+    this.workerFile = workerFile;
+    this.size = Math.max(1, options.size || 1);
+    this.workerData = options.workerData || {};
+    this.retries = options.retries !== undefined ? options.retries : 1;
+    this.workers = []; // { worker, task }
+    this.queue = [];
+    this.nextId = 1;
+    this.closed = false;
+  }
+
+  /**
+   * Queue a task; resolves with the worker's reply, rejects if the worker crashed on every attempt
+   */
+  run(data) {
+    if (this.closed) return Promise.reject(new Error('Worker pool is closed'));
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, data, attempts: 0, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting new workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find(w => !w.task);
+      if (!slot) {
+        if (this.workers.length >= this.size) return;
+        slot = this.startWorker();
+      }
+      const task = this.queue.shift();
+      task.attempts++;
+      slot.task = task;
+      slot.worker.postMessage({ ...task.data, id: task.id });
+    }
+  }
+
+  /**
+   * Start a worker and wire its replies and crashes to the task it is running
+   */
+  startWorker() {
+    const slot = { worker: new Worker(this.workerFile, { workerData: this.workerData }), task: null };
+
+    slot.worker.on('message', (msg) => {
+      const task = slot.task;
+      if (!task || msg.id !== task.id) return;
+      slot.task = null;
+      task.resolve(msg);
+      this.dispatch();
+    });
+
+    // A crash fails only the task in flight: retry it on a fresh worker, then give up on it
+    const onCrash = (error) => {
+      if (!this.workers.includes(slot)) return;
+      this.workers.splice(this.workers.indexOf(slot), 1);
+      const task = slot.task;
+      slot.task = null;
+      if (task) {
+        if (task.attempts <= this.retries && !this.closed) {
+          this.queue.unshift(task);
+        } else {
+          task.reject(error);
+        }
+      }
+      if (!this.closed) this.dispatch();
+    };
+    slot.worker.on('error', onCrash);
+    slot.worker.on('exit', (code) => onCrash(new Error(`Worker exit ${code}`)));
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  /**
+   * Stop all workers; queued and running tasks are rejected
+   */
+  async close() {
+    this.closed = true;
+    const workers = this.workers.splice(0);
+    const pending = this.queue.splice(0).concat(workers.map(w => w.task).filter(Boolean));
+    for (const task of pending) task.reject(new Error('Worker pool is closed'));
+    await Promise.all(workers.map(({ worker }) => worker.terminate()));
+  }
+}
+
+module.exports = {
+  WorkerPool
+};
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { collectSuggestions, detectTarget, planChanges, formatDiff, writeChanges } = require('../lib/apply');
+
+const report = {
+  patterns: [
+    { kind: 'quick-command', steps: ['Bash: git status', 'Bash: npm test'], occurrences: 4 },
+    { kind: 'quick-command', steps: ['Bash: cat <<EOF > a\nx\nEOF', 'Bash: ls'], occurrences: 3 },
+    { kind: 'quick-command', steps: ['Bash: curl -H "token=[REDACTED:token]" x', 'Bash: ls'], occurrences: 3 },
+    { kind: 'file-merge', steps: ['Read: a.js', 'Read: b.js'], occurrences: 5 }
+  ],
+  commandTemplates: [
+    {
+      template: 'echo greeting <name> <count>',
+      count: 3,
+      parameters: [
+        { name: 'name', type: 'arg', position: 2, pattern: null, distinct: 3, values: ['ann', 'bob', 'cy'] },
+        { name: 'count', type: 'number', position: 3, pattern: null, distinct: 1, values: ['2'] }
+      ]
+    },
+    {
+      template: 'git <arg>',
+      count: 9,
+      parameters: [{ name: 'arg', type: 'arg', position: 1, pattern: null, distinct: 3, values: ['status', 'diff', 'log'] }]
+    }
+  ]
+};
+
+function withProject(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ato-apply-'));
+  try {
+    for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), content);
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('suggests Bash chains and templates that make usable helpers', () => {
+  const suggestions = collectSuggestions(report);
+  // Heredocs, redacted secrets, other pattern kinds and templates that only wrap a tool (`git <arg>`) are left out
+  assert.deepEqual(suggestions.map(s => [s.kind, s.name]), [
+    ['quick-command', 'git-status-npm-test'],
+    ['template', 'echo']
+  ]);
+  assert.deepEqual(suggestions[0].commands, ['git status', 'npm test']);
+});
+
+test('detects the target from the project files', () => {
+  withProject({}, dir => assert.equal(detectTarget(dir), 'make'));
+  withProject({ 'package.json': '{}' }, dir => assert.equal(detectTarget(dir), 'npm'));
+  withProject({ 'pyproject.toml': '' }, dir => assert.equal(detectTarget(dir), 'pyproject'));
+  withProject({ 'package.json': '{}', Makefile: '' }, dir => assert.equal(detectTarget(dir), 'make'));
+});
+
+test('adds Makefile targets, with make variables for template parameters', () => {
+  withProject({ Makefile: 'build:\n\tcc main.c\n' }, projectDir => {
+    const { changes, helpers } = planChanges(collectSuggestions(report), { projectDir });
+    assert.deepEqual(helpers.map(h => [h.name, h.target]), [['git-status-npm-test', 'make'], ['echo', 'make']]);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].after, [
+      'build:',
+      '\tcc main.c',
+      '',
+      '.PHONY: git-status-npm-test',
+      'git-status-npm-test: ## 2 commands run together 4 times',
+      '\tgit status && npm test',
+      '',
+      '.PHONY: echo',
+      'COUNT ?= 2',
+      'echo: ## echo greeting <name> <count>',
+      '\t@test -n "$(NAME)" || { echo \'usage: make echo NAME=<arg> (e.g. ann)\' >&2; exit 1; }',
+      '\techo greeting "$(NAME)" "$(COUNT)"',
+      ''
+    ].join('\n'));
+    assert.match(formatDiff(changes[0]), /^--- a\/Makefile\n\+\+\+ b\/Makefile\n@@ -1,2 \+1,12 @@\n build:/);
+  });
+});
+
+test('adds package.json scripts with the file indentation, renaming taken names', () => {
+  const pkg = '{\n    "name": "app",\n    "scripts": {\n        "git-status-npm-test": "true"\n    }\n}\n';
+  withProject({ 'package.json': pkg }, projectDir => {
+    const { changes } = planChanges(collectSuggestions(report), { projectDir });
+    const packageJson = changes.find(change => change.file === 'package.json');
+    assert.deepEqual(JSON.parse(packageJson.after).scripts, {
+      'git-status-npm-test': 'true',
+      'git-status-npm-test-2': 'git status && npm test',
+      echo: 'bash scripts/echo.sh'
+    });
+    assert.match(packageJson.after, /^ {8}"echo"/m);
+    assert.ok(changes.some(change => change.file === path.join('scripts', 'echo.sh') && change.mode === 0o755));
+  });
+});
+
+test('adds pyproject tasks to a new poe table', () => {
+  withProject({ 'pyproject.toml': '[project]\nname = "app"\n' }, projectDir => {
+    const suggestions = collectSuggestions(report).slice(0, 1);
+    const [change] = planChanges(suggestions, { projectDir }).changes;
+    assert.equal(change.after, '[project]\nname = "app"\n\n[tool.poe.tasks]\ngit-status-npm-test = { shell = "git status && npm test" }\n');
+  });
+});
+
+test('writes scripts that parse arguments and print help', () => {
+  withProject({}, projectDir => {
+    const template = collectSuggestions(report).filter(s => s.kind === 'template');
+    writeChanges(planChanges(template, { projectDir, target: 'script' }).changes, projectDir);
+    const script = path.join(projectDir, 'scripts', 'echo.sh');
+
+    assert.equal(execFileSync(script, ['dee'], { encoding: 'utf-8' }), 'greeting dee 2\n');
+    assert.equal(execFileSync(script, ['it\'s me', '5'], { encoding: 'utf-8' }), 'greeting it\'s me 5\n');
+    assert.match(execFileSync(script, ['--help'], { encoding: 'utf-8' }), /^Usage: echo\.sh NAME \[COUNT\]/);
+    assert.throws(() => execFileSync(script, [], { stdio: 'pipe' }), /Usage: echo\.sh/);
+  });
+});
+
+test('rejects unknown targets and missing config files', () => {
+  withProject({}, projectDir => {
+    const suggestions = collectSuggestions(report);
+    assert.throws(() => planChanges(suggestions, { projectDir, target: 'cmake' }), /Unknown target: cmake/);
+    assert.throws(() => planChanges(suggestions, { projectDir, target: 'npm' }), /No package.json in the project/);
+  });
+});
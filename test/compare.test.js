@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadHelpers,
+  recordHelpers,
+  helperCommandPattern,
+  templateCommandPattern,
+  compareSessions,
+  compareReports,
+  compareSince
+} = require('../lib/compare');
+
+const CHAIN = ['Bash: git status', 'Bash: npm test'];
+const HELPER = { name: 'check', kind: 'quick-command', target: 'make', steps: CHAIN };
+
+// Each Bash call costs 35 tokens: 10 of message output, 5 of input and 20 of result
+function session(id, startTime, commands) {
+  return {
+    id,
+    startTime,
+    usage: { input: 100, output: 50 },
+    cost: 0.01,
+    subagents: [],
+    messages: commands.map((_, i) => ({ id: `${id}-${i}`, usage: { output_tokens: 10 } })),
+    actions: commands.map((command, i) => (command === null
+      ? { type: 'user' }
+      : { type: 'tool', tool: 'Bash', key: `Bash: ${command}`, command, messageId: `${id}-${i}`, inputTokens: 5, outputTokens: 20 }))
+  };
+}
+
+const before = [
+  session('s1', '2025-11-01T10:00:00.000Z', ['git status', 'npm test', null, 'git status', 'npm test']),
+  session('s2', '2025-11-02T10:00:00.000Z', ['git status', 'npm test'])
+];
+const after = [
+  session('s3', '2025-11-05T10:00:00.000Z', ['make check', null, 'git status', 'npm test'])
+];
+
+test('helper commands match the runners and scripts they are called through', () => {
+  const pattern = helperCommandPattern('check');
+  for (const command of ['make check', 'npm run check', 'cd app && pnpm check', 'make -C app check', './scripts/check.sh']) {
+    assert.ok(pattern.test(command), command);
+  }
+  for (const command of ['make checkout', 'npm run check-all', 'git check', 'cat check.sh.bak']) {
+    assert.ok(!pattern.test(command), command);
+  }
+});
+
+test('template commands match with any placeholder values', () => {
+  const pattern = templateCommandPattern('git log -n <count> <ref>');
+  assert.ok(pattern.test('git log  -n 5 main'));
+  assert.ok(!pattern.test('git log main'));
+});
+
+test('counts helper uses, the old chain and the realized token delta', () => {
+  const result = compareSessions(before, after, { helpers: [HELPER], patterns: [{ kind: 'quick-command', steps: CHAIN }] });
+
+  assert.deepEqual(result.before, { sessions: 2, toolCalls: 6, tokens: 300, cost: 0.02 });
+  assert.deepEqual(result.after, { sessions: 1, toolCalls: 3, tokens: 150, cost: 0.01 });
+
+  const [helper] = result.helpers;
+  assert.equal(helper.uses, 1);
+  assert.equal(helper.oldBefore, 3);
+  assert.equal(helper.oldBeforePerSession, 1.5);
+  assert.equal(helper.oldAfter, 1);
+  assert.equal(helper.oldTokens, 70);
+  assert.equal(helper.helperTokens, 35);
+  assert.equal(helper.realizedTokens, 35);
+  assert.equal(result.realizedTokens, 35);
+
+  assert.deepEqual(result.patterns.map(p => [p.before, p.after]), [[3, 1]]);
+});
+
+test('an unused helper has no realized tokens', () => {
+  const [helper] = compareSessions(before, [session('s4', null, ['ls'])], { helpers: [HELPER] }).helpers;
+  assert.equal(helper.uses, 0);
+  assert.equal(helper.helperTokens, null);
+  assert.equal(helper.realizedTokens, null);
+});
+
+test('compares the sessions a later report added, or sessions since a date', () => {
+  const earlier = { generatedAt: '2025-11-03T00:00:00.000Z', sessions: before, patterns: [] };
+  const later = { generatedAt: '2025-11-06T00:00:00.000Z', sessions: [...before, ...after], patterns: [] };
+
+  const byReports = compareReports(earlier, later, { helpers: [HELPER] });
+  assert.equal(byReports.from, earlier.generatedAt);
+  assert.equal(byReports.after.sessions, 1);
+  assert.equal(byReports.helpers[0].uses, 1);
+
+  const bySince = compareSince(later, '2025-11-02');
+  assert.equal(bySince.since, '2025-11-02T00:00:00.000Z');
+  assert.deepEqual([bySince.before.sessions, bySince.after.sessions], [1, 2]);
+});
+
+test('records applied helpers with the time they were added', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ato-compare-'));
+  try {
+    const file = path.join(dir, 'helpers.json');
+    assert.deepEqual(loadHelpers(file), []);
+    recordHelpers(file, [HELPER], new Date('2025-11-04T00:00:00.000Z'));
+    recordHelpers(file, [{ name: 'logs', kind: 'template' }], new Date('2025-11-05T00:00:00.000Z'));
+    assert.deepEqual(loadHelpers(file).map(h => [h.name, h.addedAt]), [
+      ['check', '2025-11-04T00:00:00.000Z'],
+      ['logs', '2025-11-05T00:00:00.000Z']
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
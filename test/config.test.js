@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, loadConfig, matchesTool, isToolHidden, loadFormatters } = require('../lib/config');
+
+// Temporary user and project directories, removed after the test
+function withDirs(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ato-config-'));
+  const user = path.join(root, 'user');
+  const project = path.join(root, 'project');
+  fs.mkdirSync(user);
+  fs.mkdirSync(project);
+  try {
+    return fn({ user, project });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+const writeJson = (dir, config) => fs.writeFileSync(path.join(dir, '.atorc.json'), JSON.stringify(config));
+
+test('defaults apply without config files', () => {
+  withDirs(({ user, project }) => {
+    const config = loadConfig([user, project, null]);
+    assert.deepEqual(config, { ...DEFAULT_CONFIG, files: [] });
+  });
+});
+
+test('project config is merged over user config', () => {
+  withDirs(({ user, project }) => {
+    writeJson(user, {
+      readSizeThreshold: 1000,
+      rleTools: ['Read'],
+      tools: { include: ['Grep'], exclude: ['mcp__slack__*'] },
+      formatters: { mcp__acme__issue: './acme.js', mcp__acme__pr: './acme.js' }
+    });
+    writeJson(project, {
+      readSizeThreshold: 500,
+      tools: { include: ['Glob'] },
+      formatters: { mcp__acme__pr: './formatters/pr.js' }
+    });
+
+    const config = loadConfig([user, project]);
+    assert.equal(config.readSizeThreshold, 500);
+    assert.deepEqual(config.rleTools, ['Read']);
+    assert.equal(config.idleCutoffMs, DEFAULT_CONFIG.idleCutoffMs);
+    assert.deepEqual(config.tools, { include: ['Grep', 'Glob'], exclude: ['mcp__slack__*'] });
+    assert.deepEqual(config.formatters, {
+      mcp__acme__issue: path.join(user, 'acme.js'),
+      mcp__acme__pr: path.join(project, 'formatters', 'pr.js')
+    });
+    assert.deepEqual(config.files, [path.join(user, '.atorc.json'), path.join(project, '.atorc.json')]);
+  });
+});
+
+test('ato.config.js is read when there is no .atorc.json', () => {
+  withDirs(({ project }) => {
+    fs.writeFileSync(path.join(project, 'ato.config.js'), 'module.exports = { maxGapMs: 1000 };');
+    assert.equal(loadConfig([project]).maxGapMs, 1000);
+  });
+});
+
+test('invalid options are rejected with the file name', () => {
+  withDirs(({ project }) => {
+    const file = path.join(project, '.atorc.json');
+    const cases = [
+      [{ readSizeTreshold: 1 }, /unknown option readSizeTreshold/],
+      [{ idleCutoffMs: -1 }, /idleCutoffMs must be a non-negative number/],
+      [{ rleTools: ['Bash'] }, /rleTools can only group .* \(got Bash\)/],
+      [{ tools: { only: [] } }, /unknown option tools.only/],
+      [{ formatters: { Bash: 1 } }, /formatters.Bash must be a module path/]
+    ];
+    for (const [config, message] of cases) {
+      writeJson(project, config);
+      assert.throws(() => loadConfig([project]), error => error.message.startsWith(file) && message.test(error.message));
+    }
+
+    fs.writeFileSync(file, '{ broken');
+    assert.throws(() => loadConfig([project]), /Invalid config file/);
+  });
+});
+
+test('matchesTool supports names and * globs', () => {
+  assert.ok(matchesTool(['Read'], 'Read'));
+  assert.ok(matchesTool(['mcp__slack__*'], 'mcp__slack__post_message'));
+  assert.ok(!matchesTool(['mcp__slack__*'], 'mcp__github__get_issue'));
+  assert.ok(!matchesTool(['Rea'], 'Read'));
+});
+
+test('isToolHidden combines the blocklist with tools.include and tools.exclude', () => {
+  const config = { ...DEFAULT_CONFIG, tools: { include: ['Grep'], exclude: ['mcp__slack__*', 'WebFetch'] } };
+  assert.equal(isToolHidden(config, 'Glob'), true);
+  assert.equal(isToolHidden(config, 'Grep'), false);
+  assert.equal(isToolHidden(config, 'WebFetch'), true);
+  assert.equal(isToolHidden(config, 'mcp__slack__post_message'), true);
+  assert.equal(isToolHidden(config, 'mcp__github__get_issue'), false);
+  assert.equal(isToolHidden(config, 'Bash'), false);
+});
+
+test('loadFormatters loads modules and names broken ones', () => {
+  withDirs(({ project }) => {
+    const good = path.join(project, 'good.js');
+    const named = path.join(project, 'named.js');
+    fs.writeFileSync(good, 'module.exports = (tool) => `acme ${tool.input.id}`;');
+    fs.writeFileSync(named, 'module.exports = { format: () => "named" };');
+
+    const formatters = loadFormatters({ formatters: { 'mcp__acme__*': good, Task: named } });
+    assert.deepEqual(formatters.map(f => f.pattern), ['mcp__acme__*', 'Task']);
+    assert.equal(formatters[0].format({ name: 'mcp__acme__get', input: { id: 7 } }, null), 'acme 7');
+    assert.equal(formatters[1].format({}, null), 'named');
+
+    const missing = path.join(project, 'missing.js');
+    assert.throws(() => loadFormatters({ formatters: { Bash: missing } }),
+      error => error.message.includes('formatters.Bash') && error.message.includes(missing) && !error.message.includes('\n'));
+
+    const broken = path.join(project, 'broken.js');
+    fs.writeFileSync(broken, 'throw new Error("boom");');
+    assert.throws(() => loadFormatters({ formatters: { Bash: broken } }), /formatters.Bash .*: boom/);
+
+    const empty = path.join(project, 'empty.js');
+    fs.writeFileSync(empty, 'module.exports = {};');
+    assert.throws(() => loadFormatters({ formatters: { Bash: empty } }), /must export format\(tool, result\)/);
+  });
+});
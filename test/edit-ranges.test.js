@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FileContents,
+  parseNumberedLines,
+  getResultText,
+  getPatchRanges,
+  resolveEditRanges
+} = require('../lib/edit-ranges');
+const { processConversation } = require('../conversation-worker');
+
+const FILE = '/work/app/src/app.js';
+
+// Read result for lines start..end of a file whose line N is "line N"
+function readResult(start, end) {
+  const lines = [];
+  for (let n = start; n <= end; n++) lines.push(`${String(n).padStart(6)}→line ${n}`);
+  return lines.join('\n');
+}
+
+function knownContents(start, end) {
+  const contents = new FileContents();
+  contents.addSegments(FILE, parseNumberedLines(readResult(start, end)));
+  return contents;
+}
+
+test('parseNumberedLines groups consecutive lines into runs', () => {
+  const content = '     1→a\n     2→b\n    10\tc\nnot numbered\n    11→d';
+  assert.deepEqual(parseNumberedLines(content), [
+    { start: 1, lines: ['a', 'b'] },
+    { start: 10, lines: ['c', 'd'] }
+  ]);
+});
+
+test('getResultText joins the text parts of a result', () => {
+  assert.equal(getResultText({ content: 'plain' }), 'plain');
+  assert.equal(getResultText({ content: [{ type: 'text', text: 'a' }, { type: 'image' }, { type: 'text', text: 'b' }] }), 'a\nb');
+});
+
+test('getPatchRanges reports changed lines without context', () => {
+  const patch = [
+    { newStart: 10, lines: [' ctx', '-old', '+new', '+more', ' ctx'] },
+    { newStart: 40, lines: [' ctx', '-gone', ' ctx'] }
+  ];
+  assert.deepEqual(getPatchRanges(patch), ['L11-L12', 'L41-L41']);
+  assert.equal(getPatchRanges(null), null);
+});
+
+test('edits are placed using content from earlier reads', () => {
+  const contents = knownContents(1, 20);
+  const edits = [{ old_string: 'line 5', new_string: 'line 5a\nline 5b' }];
+  assert.equal(resolveEditRanges(contents, FILE, edits, null), 'L5-L6');
+
+  // Line numbers after the edit shift by the inserted line
+  assert.equal(resolveEditRanges(contents, FILE, [{ old_string: 'line 10', new_string: 'ten' }], null), 'L11-L11');
+});
+
+test('replace_all reports every place', () => {
+  const contents = new FileContents();
+  contents.setContent(FILE, 'a\nx\nb\nx');
+  assert.equal(resolveEditRanges(contents, FILE, [{ old_string: 'x', new_string: 'y', replace_all: true }], null), 'L2-L2,L4-L4');
+});
+
+test('MultiEdit edits apply in order', () => {
+  const contents = knownContents(1, 10);
+  const edits = [
+    { old_string: 'line 2', new_string: 'two\nlines' },
+    { old_string: 'line 8', new_string: 'eight' }
+  ];
+  assert.equal(resolveEditRanges(contents, FILE, edits, null), 'L2-L3,L9-L9');
+});
+
+test('a structured patch wins over known content', () => {
+  const contents = knownContents(1, 10);
+  const result = { patchRanges: ['L3-L3'] };
+  assert.equal(resolveEditRanges(contents, FILE, [{ old_string: 'line 5', new_string: 'five' }], result), 'L3-L3');
+});
+
+test('falls back to the result snippet, then unknown', () => {
+  const snippet = parseNumberedLines(readResult(30, 32).replace('line 31', 'changed'));
+  assert.equal(resolveEditRanges(new FileContents(), FILE, [{ old_string: 'x', new_string: 'changed' }], { snippet }), 'L31-L31');
+  assert.equal(resolveEditRanges(new FileContents(), FILE, [{ old_string: 'x', new_string: 'y' }], null), 'unknown');
+});
+
+test('an edit that cannot be placed forgets the file', () => {
+  const contents = knownContents(1, 10);
+  assert.equal(resolveEditRanges(contents, FILE, [{ old_string: 'not in file', new_string: 'y' }], null), 'unknown');
+  assert.equal(resolveEditRanges(contents, FILE, [{ old_string: 'line 3', new_string: 'z' }], null), 'unknown');
+});
+
+test('a failed edit leaves the known content as it was', () => {
+  const contents = knownContents(1, 10);
+  const failed = { isError: true };
+  assert.equal(resolveEditRanges(contents, FILE, [{ old_string: 'line 3', new_string: 'a\nb' }], failed), 'unknown');
+  assert.equal(resolveEditRanges(contents, FILE, [{ old_string: 'line 5', new_string: 'z' }], null), 'L5-L5');
+});
+
+// Read lines 1-10 of FILE, run the given calls, then edit line 3; returns the Edit step's range
+function rangeAfter(calls) {
+  const entries = [];
+  const call = (name, input, content, isError = false) => {
+    const id = `toolu_${entries.length}`;
+    const timestamp = '2025-11-04T10:00:00.000Z';
+    entries.push(
+      { type: 'assistant', timestamp, message: { id: `msg_${id}`, role: 'assistant', content: [{ type: 'tool_use', id, name, input }] } },
+      { type: 'user', timestamp, message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content, is_error: isError }] } }
+    );
+  };
+  call('Read', { file_path: FILE }, readResult(1, 10));
+  calls.forEach(args => call(...args));
+  call('Edit', { file_path: FILE, old_string: 'line 3', new_string: 'changed' }, 'The file has been updated.');
+
+  const { steps } = processConversation({ filePath: '/work/session.jsonl', entries });
+  return steps.filter(step => step.tool === 'Edit').pop().range;
+}
+
+test('read-only commands keep the known content', () => {
+  assert.equal(rangeAfter([['Bash', { command: 'git status && cat src/app.js | head' }, 'ok']]), 'L3-L3');
+});
+
+test('commands that may change files, and subagents, forget the known content', () => {
+  assert.equal(rangeAfter([['Bash', { command: "sed -i 's/a/b/' src/app.js" }, '']]), 'unknown');
+  assert.equal(rangeAfter([['Bash', { command: 'git checkout src/app.js' }, '']]), 'unknown');
+  assert.equal(rangeAfter([['Bash', { command: 'echo x > src/app.js' }, '']]), 'unknown');
+  assert.equal(rangeAfter([['Task', { prompt: 'fix the tests' }, 'done']]), 'unknown');
+});
+
+test('failed edits and writes do not change the known content', () => {
+  const failedEdit = ['Edit', { file_path: FILE, old_string: 'line 1', new_string: 'x\ny\nz' }, 'String not found', true];
+  const failedWrite = ['Write', { file_path: FILE, content: 'only one line' }, 'File has not been read yet', true];
+  assert.equal(rangeAfter([failedEdit]), 'L3-L3');
+  assert.equal(rangeAfter([failedWrite]), 'L3-L3');
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateOption, createFilters, matchesFilters, describeFilters } = require('../lib/filters');
+
+const session = {
+  sessionId: 'a1b2c3',
+  file: '/home/me/.claude/projects/-work-app/a1b2c3.jsonl',
+  startTime: '2025-11-04T10:00:00.000Z',
+  endTime: '2025-11-04T12:00:00.000Z',
+  gitBranches: ['main', 'release'],
+  steps: [{ type: 'user' }, { type: 'tool' }, { type: 'tool' }]
+};
+
+test('parses relative ages and dates, with --until covering the whole day', () => {
+  const now = Date.parse('2025-11-10T00:00:00.000Z');
+  assert.equal(parseDateOption('7d', '--since', now).toISOString(), '2025-11-03T00:00:00.000Z');
+  assert.equal(parseDateOption('90m', '--since', now).toISOString(), '2025-11-09T22:30:00.000Z');
+  assert.equal(parseDateOption('2025-11-04T10:00:00Z', '--since').toISOString(), '2025-11-04T10:00:00.000Z');
+  assert.equal(parseDateOption('2025-11-04', '--until').getTime() - parseDateOption('2025-11-04', '--since').getTime(), 24 * 60 * 60 * 1000 - 1);
+  assert.equal(parseDateOption('', '--since'), null);
+  assert.throws(() => parseDateOption('last week', '--since'), /Invalid --since date: last week/);
+});
+
+test('no options means no filters', () => {
+  assert.equal(createFilters({}), null);
+  assert.equal(createFilters({ sessions: [], branches: [] }), null);
+  assert.equal(matchesFilters(session, null), true);
+});
+
+test('rejects a range that ends before it starts', () => {
+  assert.throws(() => createFilters({ since: '2025-11-05', until: '2025-11-04' }), /--since must be before --until/);
+});
+
+test('keeps sessions overlapping the date range', () => {
+  assert.equal(matchesFilters(session, createFilters({ since: '2025-11-04T11:00:00Z' })), true);
+  assert.equal(matchesFilters(session, createFilters({ since: '2025-11-04T13:00:00Z' })), false);
+  assert.equal(matchesFilters(session, createFilters({ until: '2025-11-04' })), true);
+  assert.equal(matchesFilters(session, createFilters({ until: '2025-11-03' })), false);
+  assert.equal(matchesFilters({ ...session, endTime: null }, createFilters({ since: '2025-11-01' })), false);
+});
+
+test('matches session id prefixes, branches and tool call counts', () => {
+  assert.equal(matchesFilters(session, createFilters({ sessions: ['zz', 'a1b'] })), true);
+  assert.equal(matchesFilters(session, createFilters({ sessions: ['b2'] })), false);
+  assert.equal(matchesFilters({ ...session, sessionId: null }, createFilters({ sessions: ['a1'] })), true); // From the file name
+
+  assert.equal(matchesFilters(session, createFilters({ branches: ['release'] })), true);
+  assert.equal(matchesFilters({ ...session, gitBranches: null, gitBranch: 'dev' }, createFilters({ branches: ['dev'] })), true);
+  assert.equal(matchesFilters(session, createFilters({ branches: ['dev'] })), false);
+
+  assert.equal(matchesFilters(session, createFilters({ minToolCalls: 2 })), true);
+  assert.equal(matchesFilters(session, createFilters({ minToolCalls: 3 })), false);
+});
+
+test('every filter has to match', () => {
+  const filters = createFilters({ branches: ['main'], minToolCalls: 5 });
+  assert.equal(matchesFilters(session, filters), false);
+  assert.equal(describeFilters(filters), 'branch main, at least 5 tool calls');
+  assert.equal(describeFilters(null), '');
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { processConversationFile } = require('../conversation-worker');
+const { minePatterns, splitSegments, formatStepLabel } = require('../lib/pattern-miner');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'conversations');
+
+// session-a: the git status → git diff → npm test chain twice, split by a thinking block
+// session-b: the chain once, then a user message before a Read and an Edit
+// session-c: git status, a thinking block, then git diff → npm test
+async function loadFixtures() {
+  const sequences = [];
+  for (const name of ['session-a', 'session-b', 'session-c']) {
+    const { result } = await processConversationFile(path.join(FIXTURES, `${name}.jsonl`));
+    sequences.push(result);
+  }
+  return sequences;
+}
+
+test('finds chains repeated across sessions, ranked by calls saved', async () => {
+  const patterns = minePatterns(await loadFixtures(), { minOccurrences: 3 });
+
+  assert.deepEqual(patterns.map(p => p.steps), [
+    ['Bash: git status', 'Bash: git diff --stat', 'Bash: npm test'],
+    ['Bash: git diff --stat', 'Bash: npm test']
+  ]);
+  assert.equal(patterns[0].kind, 'quick-command');
+  assert.equal(patterns[0].occurrences, 3);
+  assert.deepEqual(patterns[0].sessions, ['session-a', 'session-b']);
+  assert.equal(patterns[0].savedCalls, 6);
+  assert.equal(patterns[0].toolUseIds.length, 3);
+});
+
+test('does not count sequences across thinking blocks or user messages', async () => {
+  const patterns = minePatterns(await loadFixtures(), { minOccurrences: 1, minSessions: 1 });
+  const chains = patterns.map(p => p.steps.join(' → '));
+
+  // session-c's git status is followed by a thinking block, so the full chain is not counted there
+  const full = patterns.find(p => p.steps.length === 3 && p.steps[0] === 'Bash: git status');
+  assert.equal(full.occurrences, 3);
+  assert.ok(!chains.some(chain => chain.includes('npm test → Read')));
+  assert.ok(!chains.some(chain => chain.includes('npm test → Bash: git status')));
+});
+
+test('drops sub-chains explained by a longer chain that occurs as often', async () => {
+  const patterns = minePatterns(await loadFixtures(), { minOccurrences: 3 });
+  assert.ok(!patterns.some(p => p.steps.join() === 'Bash: git status,Bash: git diff --stat'));
+});
+
+test('is deterministic', async () => {
+  const sequences = await loadFixtures();
+  assert.deepEqual(minePatterns(sequences), minePatterns(sequences));
+});
+
+test('ignores repeats of a single call and hidden steps', () => {
+  const step = (key, extra) => ({ type: 'tool', key, ...extra });
+  const sequences = ['s1', 's2', 's3'].map(file => ({
+    file: `${file}.jsonl`,
+    steps: [step('Bash: npm test'), step('Bash: npm test'), step('Grep: foo', { hidden: true }), step('Bash: npm test')]
+  }));
+  assert.deepEqual(minePatterns(sequences), []);
+});
+
+test('splitSegments breaks on non-tool steps', () => {
+  const steps = [
+    { type: 'tool', key: 'a' },
+    { type: 'think' },
+    { type: 'tool', key: 'b' },
+    { type: 'tool', key: 'c' },
+    { type: 'user' }
+  ];
+  assert.deepEqual(splitSegments(steps).map(segment => segment.map(s => s.key)), [['a'], ['b', 'c']]);
+});
+
+test('formatStepLabel shortens multi-line commands', () => {
+  assert.equal(formatStepLabel('Bash: cat <<EOF\nhi\nEOF'), 'Bash: cat <<EOF …');
+  assert.equal(formatStepLabel('Bash: ls'), 'Bash: ls');
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { processConversationFile } = require('../conversation-worker');
+const { minePatterns } = require('../lib/pattern-miner');
+const { buildRecommendations } = require('../lib/recommendations');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'conversations');
+
+async function loadFixtures() {
+  const sequences = [];
+  for (const name of ['session-a', 'session-b', 'session-c']) {
+    const { result } = await processConversationFile(path.join(FIXTURES, `${name}.jsonl`));
+    sequences.push(result);
+  }
+  return sequences;
+}
+
+test('drops chains contained in a higher-ranked recommendation', async () => {
+  const sequences = await loadFixtures();
+  const patterns = minePatterns(sequences, { minOccurrences: 3 });
+  assert.equal(patterns.length, 2);
+
+  const recommendations = buildRecommendations(patterns, sequences);
+  assert.deepEqual(recommendations.map(r => r.steps), [
+    ['Bash: git status', 'Bash: git diff --stat', 'Bash: npm test']
+  ]);
+  assert.ok(recommendations[0].current_tokens > recommendations[0].optimized_tokens);
+});
+
+test('drops chains containing a higher-ranked recommendation', () => {
+  const step = (key, messageId) => ({ type: 'tool', key, messageId, inputTokens: 10, outputTokens: 5 });
+  const sequences = [{
+    messages: [{ id: 'm1', usage: { output_tokens: 100 } }, { id: 'm2', usage: { output_tokens: 100 } }, { id: 'm3', usage: { output_tokens: 1 } }],
+    steps: [step('Bash: a', 'm1'), step('Bash: b', 'm2'), step('Bash: c', 'm3')]
+  }];
+  const patterns = [
+    { kind: 'quick-command', steps: ['Bash: a', 'Bash: b', 'Bash: c'], occurrences: 2, sessions: ['s'] },
+    { kind: 'quick-command', steps: ['Bash: a', 'Bash: b'], occurrences: 5, sessions: ['s'] },
+    { kind: 'quick-command', steps: ['Bash: c', 'Bash: a'], occurrences: 1, sessions: ['s'] }
+  ];
+
+  assert.deepEqual(buildRecommendations(patterns, sequences).map(r => r.steps), [
+    ['Bash: a', 'Bash: b'],
+    ['Bash: c', 'Bash: a']
+  ]);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SequenceCache, statFile } = require('../lib/sequence-cache');
+
+// Temporary directory with a conversation file, removed after the test
+function withConversation(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ato-cache-'));
+  const file = path.join(dir, 'session.jsonl');
+  fs.writeFileSync(file, '{"type":"user"}\n');
+  try {
+    return fn({ cacheDir: path.join(dir, 'cache'), file });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const result = { file: 'session.jsonl', steps: [{ type: 'tool', key: 'Bash: ls' }] };
+
+test('stored results are reused until the file changes', () => {
+  withConversation(({ cacheDir, file }) => {
+    const cache = new SequenceCache(cacheDir, 'a').load();
+    assert.equal(cache.get(file), undefined);
+    cache.set(file, result);
+    cache.save();
+
+    const reloaded = new SequenceCache(cacheDir, 'a').load();
+    assert.deepEqual(reloaded.get(file), result);
+    assert.equal(reloaded.hits, 1);
+
+    fs.appendFileSync(file, '{"type":"assistant"}\n');
+    assert.equal(reloaded.get(file), undefined);
+  });
+});
+
+test('lines appended while a file is processed are not marked as cached', () => {
+  withConversation(({ cacheDir, file }) => {
+    const cache = new SequenceCache(cacheDir).load();
+    const stat = statFile(file); // Taken before the worker reads the file
+    fs.appendFileSync(file, '{"type":"assistant"}\n');
+    cache.set(file, result, stat);
+    assert.equal(cache.get(file), undefined);
+  });
+});
+
+test('conversations without tool uses are cached as null', () => {
+  withConversation(({ cacheDir, file }) => {
+    const cache = new SequenceCache(cacheDir).load();
+    cache.set(file, null);
+    assert.equal(cache.get(file), null);
+  });
+});
+
+test('tool-use scans are reused until the file changes', () => {
+  withConversation(({ cacheDir, file }) => {
+    const cache = new SequenceCache(cacheDir).load();
+    assert.equal(cache.hasToolUses(file), undefined);
+    cache.setToolUses(file, false);
+    cache.save();
+
+    const reloaded = new SequenceCache(cacheDir).load();
+    assert.equal(reloaded.hasToolUses(file), false);
+    fs.appendFileSync(file, '{"type":"assistant"}\n');
+    assert.equal(reloaded.hasToolUses(file), undefined);
+  });
+});
+
+test('processed results answer tool-use scans', () => {
+  withConversation(({ cacheDir, file }) => {
+    const cache = new SequenceCache(cacheDir).load();
+    cache.set(file, result);
+    assert.equal(cache.hasToolUses(file), true);
+    cache.set(file, null);
+    assert.equal(cache.hasToolUses(file), false);
+  });
+});
+
+test('a different options key starts an empty cache', () => {
+  withConversation(({ cacheDir, file }) => {
+    const cache = new SequenceCache(cacheDir, 'tokenizer=estimate').load();
+    cache.set(file, result);
+    cache.save();
+    assert.equal(new SequenceCache(cacheDir, 'tokenizer=heuristic').load().get(file), undefined);
+  });
+});
+
+test('a corrupt index starts an empty cache', () => {
+  withConversation(({ cacheDir, file }) => {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, 'index.json'), '{ broken');
+    assert.equal(new SequenceCache(cacheDir).load().get(file), undefined);
+  });
+});
+
+test('save drops conversations that no longer exist', () => {
+  withConversation(({ cacheDir, file }) => {
+    const cache = new SequenceCache(cacheDir).load();
+    cache.set(file, result);
+    const resultFile = cache.getResultFile(file);
+    assert.ok(fs.existsSync(resultFile));
+
+    fs.rmSync(file);
+    cache.save();
+    assert.ok(!fs.existsSync(resultFile));
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(cacheDir, 'index.json'), 'utf-8')).files, {});
+  });
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  tokenizeShell,
+  splitCommandChain,
+  normalizeCommand,
+  normalizeArgument,
+  extractCommandTemplates
+} = require('../lib/shell-templates');
+
+// One session running each command in order
+function transcript(commands, file = 'session-a.jsonl') {
+  return { file, steps: commands.map(command => ({ type: 'tool', tool: 'Bash', command })) };
+}
+
+test('tokenizeShell honors quotes, escapes and operators', () => {
+  assert.deepEqual(tokenizeShell('echo "a b" \'c|d\' e\\ f && ls|wc -l'), [
+    { type: 'word', value: 'echo' },
+    { type: 'word', value: 'a b' },
+    { type: 'word', value: 'c|d' },
+    { type: 'word', value: 'e f' },
+    { type: 'op', value: '&&' },
+    { type: 'word', value: 'ls' },
+    { type: 'op', value: '|' },
+    { type: 'word', value: 'wc' },
+    { type: 'word', value: '-l' }
+  ]);
+});
+
+test('splitCommandChain splits on &&, ||, ; and |', () => {
+  assert.deepEqual(splitCommandChain('make build && make test || echo failed; ls | head'), [
+    { words: ['make', 'build'], operator: '&&' },
+    { words: ['make', 'test'], operator: '||' },
+    { words: ['echo', 'failed'], operator: ';' },
+    { words: ['ls'], operator: '|' },
+    { words: ['head'], operator: null }
+  ]);
+});
+
+test('normalizeArgument replaces volatile values with typed placeholders', () => {
+  assert.equal(normalizeArgument('src/index.js'), '<path>');
+  assert.equal(normalizeArgument('https://example.com/x'), '<url>');
+  assert.equal(normalizeArgument('8080', '-p'), '<port>');
+  assert.equal(normalizeArgument('localhost:3000/health'), 'localhost:<port>/health');
+  assert.equal(normalizeArgument('--since=2025-11-04'), '--since=<timestamp>');
+  assert.equal(normalizeArgument('worker-1762140643-abc'), 'worker-<timestamp>-abc');
+  assert.equal(normalizeArgument('3f2a9c1'), '<hash>');
+  assert.equal(normalizeArgument('123e4567-e89b-12d3-a456-426614174000'), '<uuid>');
+  assert.equal(normalizeArgument('status'), 'status');
+});
+
+test('normalizeCommand keeps command names, subcommands and flags', () => {
+  const structural = command => normalizeCommand(command).filter(t => t.structural).map(t => t.value);
+  assert.deepEqual(structural('git status'), ['git', 'status']);
+  assert.deepEqual(structural('git -C /repo log -5'), ['git', '-C', 'log', '-5']);
+  assert.deepEqual(structural('docker logs worker-1 --tail=50'), ['docker', 'logs']);
+  assert.deepEqual(structural('cat README.md'), ['cat']);
+});
+
+test('subcommands and other literal arguments never merge into a parameter', () => {
+  const templates = extractCommandTemplates([transcript([
+    'git status', 'git diff', 'git log', 'git status', 'git diff', 'git log',
+    'npm run build', 'npm run test', 'npm run build', 'npm run test'
+  ])], { minOccurrences: 2 });
+  assert.deepEqual(templates, []);
+});
+
+test('commands differing in placeholder values become one template', () => {
+  const templates = extractCommandTemplates([
+    transcript(['docker logs worker-1762140643-abc --tail=50', 'curl localhost:3000/health']),
+    transcript(['docker logs worker-1762140700-def --tail=50', 'curl localhost:3001/health'], 'session-b.jsonl'),
+    transcript(['docker logs worker-1762140800-ghi --tail=50', 'curl localhost:8080/health'], 'session-c.jsonl')
+  ]);
+
+  assert.deepEqual(templates.map(t => t.template), [
+    'docker logs <arg> --tail=<number>',
+    'curl localhost:<port>/health'
+  ]);
+  const [logs, curl] = templates;
+  assert.equal(logs.count, 3);
+  assert.deepEqual(logs.sessions, ['session-a', 'session-b', 'session-c']);
+  assert.equal(logs.parameters[0].pattern, 'worker-<timestamp>-*');
+  assert.equal(logs.parameters[0].distinct, 3);
+  assert.deepEqual(curl.parameters.map(p => [p.name, p.type]), [['port', 'port']]);
+  assert.deepEqual(curl.parameters[0].values.sort(), ['3000', '3001', '8080']);
+});
+
+test('templates need minOccurrences commands and a varying parameter', () => {
+  const commands = ['cat src/a.js', 'cat src/b.js', 'ls src/a.js', 'ls src/a.js', 'ls src/a.js'];
+  const templates = extractCommandTemplates([transcript(commands)], { minOccurrences: 3 });
+  assert.deepEqual(templates, []);
+});
+
+test('heredocs and multi-line scripts are skipped', () => {
+  const commands = Array(3).fill("cat > /tmp/x.sh << 'EOF'\necho hi\nEOF");
+  assert.deepEqual(extractCommandTemplates([transcript(commands)]), []);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTokenEstimator, countTokensHeuristic, getByteSize } = require('../lib/token-estimator');
+const { countTokens } = require('../lib/bpe-tokenizer');
+
+test('bpe counts match the Claude tokenizer', () => {
+  // Counts from @anthropic-ai/tokenizer
+  assert.equal(countTokens('hello world!'), 3);
+  assert.equal(countTokens('™'), 1); // NFKC-normalized
+  assert.equal(countTokens('ϰ'), 1);
+  assert.equal(countTokens('<EOT>'), 1);
+  assert.equal(countTokens(''), 0);
+});
+
+test('bpe is the default estimator', () => {
+  const estimate = createTokenEstimator();
+  assert.equal(estimate('hello world!'), 3);
+  assert.equal(estimate({ command: 'ls' }), countTokens('{"command":"ls"}'));
+  assert.equal(estimate(''), 0);
+});
+
+test('heuristic counts UTF-8 bytes / 4', () => {
+  assert.equal(getByteSize('日本'), 6);
+  assert.equal(countTokensHeuristic('日本'), 2);
+  assert.equal(createTokenEstimator('heuristic')('abcdefgh'), 2);
+});
+
+test('custom modules are loaded, and fall back to the heuristic when they throw', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ato-tokenizer-'));
+  try {
+    const counter = path.join(dir, 'counter.js');
+    fs.writeFileSync(counter, "module.exports = { countTokens: text => { if (text === 'bad') throw new Error('no'); return 42; } };");
+    const estimate = createTokenEstimator(counter);
+    assert.equal(estimate('anything'), 42);
+    assert.equal(estimate('bad'), 1);
+
+    assert.throws(() => createTokenEstimator(path.join(dir, 'missing.js')), /Unknown tokenizer .*'bpe', 'estimate', 'heuristic'/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
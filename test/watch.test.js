@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LiveTranscript, AlertTracker, watchConversations } = require('../lib/watch');
+
+const transcript = { id: 'session', state: { session: { cwd: '/work/app' } } };
+const bash = (command, exitCode = 0) => ({
+  type: 'tool', tool: 'Bash', key: `Bash: ${command}`, command, exitCode, timestamp: new Date().toISOString()
+});
+
+// One Bash call and its result, as Claude Code writes them
+let toolId = 0;
+function bashEntries(command, timestamp, isError = false) {
+  const id = `toolu_${++toolId}`;
+  return [
+    { type: 'assistant', timestamp, message: { id: `msg_${id}`, role: 'assistant', content: [{ type: 'tool_use', id, name: 'Bash', input: { command } }] } },
+    { type: 'user', timestamp, message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: isError ? 'Exit code 1' : 'ok', is_error: isError }] } }
+  ];
+}
+
+const toLines = entries => entries.map(entry => JSON.stringify(entry) + '\n').join('');
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) return false;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return true;
+}
+
+test('reports a repeated chain once it stops growing', () => {
+  const tracker = new AlertTracker();
+  const alerts = [];
+  for (let i = 0; i < 3; i++) {
+    alerts.push(...tracker.check(transcript, [bash('git status'), bash('git diff'), bash('npm test'), { type: 'user' }]));
+  }
+
+  assert.deepEqual(alerts.map(a => a.message), [
+    'same 3-command chain executed 3rd time today: git status → git diff → npm test'
+  ]);
+});
+
+test('reports a command failing repeatedly until a user prompt', () => {
+  const tracker = new AlertTracker();
+  assert.deepEqual(tracker.check(transcript, [bash('npm test', 1), bash('npm test -- --watch=false', 1)]), []);
+
+  const alerts = tracker.check(transcript, [bash('npm test', 2)]);
+  assert.deepEqual(alerts.map(a => a.message), ['`npm test` failed 3 times in a row (exit 2)']);
+
+  assert.deepEqual(tracker.check(transcript, [{ type: 'user' }, bash('npm test', 1)]), []);
+});
+
+test('reports large files read again and again', () => {
+  const tracker = new AlertTracker();
+  const read = { type: 'tool', tool: 'Read', file: '/work/app/src/big.js', outputBytes: 20 * 1024, outputTokens: 5000 };
+  const alerts = tracker.check(transcript, [read, read, read, { ...read, outputBytes: 100 }]);
+
+  assert.deepEqual(alerts.map(a => a.message), [
+    'read src/big.js (20KB) 3 times this session (~15000 tokens)',
+    'read src/big.js (20KB) 4 times this session (~20000 tokens)'
+  ]);
+});
+
+test('waits for tool results before adding a call to the timeline', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ato-watch-'));
+  try {
+    const file = path.join(dir, 'session.jsonl');
+    const [call, result] = bashEntries('git status', new Date().toISOString());
+    fs.writeFileSync(file, toLines([call]));
+
+    const live = new LiveTranscript(file);
+    assert.deepEqual(await live.readAppended(), []);
+    assert.equal(live.queue.length, 1);
+
+    fs.appendFileSync(file, toLines([result]));
+    const steps = await live.readAppended();
+    assert.deepEqual(steps.map(step => step.key), ['Bash: git status']);
+    assert.equal(live.queue.length, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('does not replay the history of a session first seen while watching', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ato-watch-'));
+  const alerts = [];
+  let watcher;
+  try {
+    // An older session, not modified today, that fails three times before the watch starts
+    const file = path.join(dir, 'resumed.jsonl');
+    const earlier = new Date(Date.now() - 60000).toISOString();
+    fs.writeFileSync(file, toLines([1, 2, 3].flatMap(() => bashEntries('npm test', earlier, true))));
+    const lastWeek = new Date(Date.now() - 7 * 24 * 3600 * 1000);
+    fs.utimesSync(file, lastWeek, lastWeek);
+
+    watcher = await watchConversations([dir], { onAlert: alert => alerts.push(alert) });
+    assert.equal(watcher.transcripts.size, 0);
+
+    // Resumed: the failures above are history, but still count towards the streak
+    fs.appendFileSync(file, toLines(bashEntries('npm test', new Date().toISOString(), true)));
+    assert.ok(await waitFor(() => watcher.transcripts.get(file)?.stepCount === 4));
+    assert.deepEqual(alerts.map(a => a.message), ['`npm test` failed 4 times in a row (exit 1)']);
+  } finally {
+    if (watcher) watcher.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});